@@ -1,15 +1,21 @@
-const { listAll, defaultToAnArray, checkForRequired } = require('.')
+const { defaultToAnArray, checkForRequired } = require('.')
+const { listDeployed } = require('./inventory')
 const {
   clone,
+  concat,
   difference,
+  dissoc,
   equals,
   find,
   is,
+  isEmpty,
   isNil,
   map,
   merge,
   not,
+  partition,
   pick,
+  pluck,
   propEq,
   reduce
 } = require('ramda')
@@ -22,16 +28,54 @@ const {
 const formatInputApiKeys = (apiKeys) =>
   map((apiKey) => (is(String, apiKey) ? { name: apiKey } : apiKey), defaultToAnArray(apiKeys))
 
+const daySeconds = 24 * 60 * 60
+
+const rotationDefaults = {
+  renewWithinDays: 7,
+  validForDays: 30,
+  overlap: false,
+  gracePeriodDays: 1
+}
+
 /**
- * Creates or updates api keys
+ * Get rotation policy of an API key with defaults
+ * @param {Object} apiKey
+ * @returns {Object} - rotation policy, undefined if the key is not rotated
+ */
+const getRotation = (apiKey) => {
+  if (isNil(apiKey.rotation)) {
+    return undefined
+  }
+  const rotation = merge(rotationDefaults, apiKey.rotation)
+  if (rotation.validForDays < 1 || rotation.validForDays > 365) {
+    throw new Error(`validForDays of api key ${apiKey.name} must be between 1 and 365`)
+  }
+  if (rotation.renewWithinDays >= rotation.validForDays) {
+    throw new Error(`renewWithinDays of api key ${apiKey.name} must be less than validForDays`)
+  }
+  return rotation
+}
+
+const now = () => Math.floor(Date.now() / 1000)
+
+/**
+ * Check if the deployed API key expires within the renewal period
+ * @param {Object} apiKey - deployed API key
+ * @param {Object} rotation
+ * @returns {Boolean}
+ */
+const isNearingExpiry = (apiKey, rotation) =>
+  not(isNil(apiKey.expires)) && apiKey.expires - now() < rotation.renewWithinDays * daySeconds
+
+/**
+ * Get api keys with the deploy mode (create, update or ignore)
  * @param {Object} appSync
  * @param {Object} config
  * @param {Object} state
- * @param {Function} debug
- * @returns {Array} - deployed API keys
+ * @returns {Array} - API keys to deploy
  */
-const createOrUpdateApiKeys = async (appSync, config, state, debug) => {
-  const deployedApiKeys = await listAll(appSync, 'listApiKeys', { apiId: config.apiId }, 'apiKeys')
+const getApiKeysToDeploy = async (appSync, config, state) => {
+  const deployedApiKeys = await listDeployed(appSync, config, 'apiKeys')
 
   const stateApiKeys = reduce(
     (acc, stateApiKey) => {
@@ -45,16 +89,24 @@ const createOrUpdateApiKeys = async (appSync, config, state, debug) => {
     defaultToAnArray(state.apiKeys)
   )
 
-  const apiKeysToDeploy = map((apiKey) => {
+  return map((apiKey) => {
     checkForRequired(['name'], apiKey)
     const stateApiKey = find(propEq('name', apiKey.name), stateApiKeys)
+    const rotation = getRotation(apiKey)
     let apiKeyToDeploy
     if (isNil(stateApiKey)) {
       apiKeyToDeploy = merge(apiKey, { mode: 'create' })
+    } else if (not(isNil(rotation)) && isNearingExpiry(stateApiKey, rotation)) {
+      apiKeyToDeploy = merge(
+        merge(stateApiKey, { mode: rotation.overlap ? 'rotate' : 'update' }),
+        apiKey
+      )
     } else if (
       (not(isNil(apiKey.description)) &&
         not(equals(apiKey.description, stateApiKey.description))) ||
-      (not(isNil(apiKey.expires)) && not(equals(apiKey.expires, stateApiKey.expires)))
+      (isNil(rotation) &&
+        not(isNil(apiKey.expires)) &&
+        not(equals(apiKey.expires, stateApiKey.expires)))
     ) {
       apiKeyToDeploy = merge(merge(stateApiKey, { mode: 'update' }), apiKey)
     } else {
@@ -62,21 +114,79 @@ const createOrUpdateApiKeys = async (appSync, config, state, debug) => {
     }
     return apiKeyToDeploy
   }, formatInputApiKeys(config.apiKeys))
+}
 
+/**
+ * Remove API keys by id
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Array} ids
+ * @param {Function} debug
+ */
+const removeApiKeysById = async (appSync, config, ids, debug) => {
+  await Promise.all(
+    map(async (id) => {
+      debug(`Removing api key ${id}`)
+      try {
+        await appSync.deleteApiKey({ apiId: config.apiId, id }).promise()
+      } catch (error) {
+        if (not(equals(error.code, 'NotFoundException'))) {
+          throw error
+        }
+        debug(`Api key ${id} already removed`)
+      }
+    }, ids)
+  )
+}
+
+/**
+ * Creates or updates api keys
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ * @returns {Array} - deployed API keys
+ */
+const createOrUpdateApiKeys = async (appSync, config, state, debug) => {
+  const apiKeysToDeploy = await getApiKeysToDeploy(appSync, config, state)
   return Promise.all(
     map(async (apiKey) => {
       let currentApiKey = clone(apiKey)
+      const rotation = getRotation(currentApiKey)
       const dateToParse =
         is(Number, currentApiKey.expires) && currentApiKey.expires < 1000000000000
           ? currentApiKey.expires * 1000
           : currentApiKey.expires
-      const expires = not(isNil(dateToParse))
+      let expires = not(isNil(dateToParse))
         ? Math.round(new Date(dateToParse).getTime() / 1000)
         : undefined
-      if (equals(currentApiKey.mode, 'create')) {
+      if (not(isNil(rotation))) {
+        expires = now() + rotation.validForDays * daySeconds
+      }
+      if (equals(currentApiKey.mode, 'rotate')) {
+        debug(`Creating successor of api key ${currentApiKey.name} (expires ${expires})`)
+        const response = await appSync
+          .createApiKey({
+            apiId: config.apiId,
+            description: currentApiKey.description,
+            expires
+          })
+          .promise()
+        currentApiKey = merge(currentApiKey, {
+          id: response.apiKey.id,
+          expires: response.apiKey.expires,
+          predecessors: concat(defaultToAnArray(currentApiKey.predecessors), [
+            {
+              id: currentApiKey.id,
+              expires: currentApiKey.expires,
+              removeAfter: now() + rotation.gracePeriodDays * daySeconds
+            }
+          ])
+        })
+      } else if (equals(currentApiKey.mode, 'create')) {
         debug(
           `Creating api key ${currentApiKey.name}${
-            not(isNil(dateToParse)) ? ` (expires ${expires})` : ''
+            not(isNil(expires)) ? ` (expires ${expires})` : ''
           }`
         )
         const response = await appSync
@@ -86,14 +196,14 @@ const createOrUpdateApiKeys = async (appSync, config, state, debug) => {
             expires
           })
           .promise()
-        currentApiKey = merge(currentApiKey, { id: response.apiKey.id })
+        currentApiKey = merge(currentApiKey, pick(['id', 'expires'], response.apiKey))
       } else if (equals(currentApiKey.mode, 'update')) {
         debug(
           `Updating api key ${currentApiKey.name}${
-            not(isNil(dateToParse)) ? ` (expires ${expires})` : ''
+            not(isNil(expires)) ? ` (expires ${expires})` : ''
           }`
         )
-        await appSync
+        const response = await appSync
           .updateApiKey({
             apiId: config.apiId,
             id: currentApiKey.id,
@@ -101,13 +211,36 @@ const createOrUpdateApiKeys = async (appSync, config, state, debug) => {
             expires
           })
           .promise()
+        currentApiKey = merge(currentApiKey, pick(['expires'], response.apiKey))
       }
 
-      return pick(['name', 'id'], currentApiKey)
+      // predecessors are removed once their grace period has passed
+      const [expiredPredecessors, predecessors] = partition(
+        ({ removeAfter }) => removeAfter <= now(),
+        defaultToAnArray(currentApiKey.predecessors)
+      )
+      await removeApiKeysById(appSync, config, pluck('id', expiredPredecessors), debug)
+      currentApiKey = isEmpty(predecessors)
+        ? dissoc('predecessors', currentApiKey)
+        : merge(currentApiKey, { predecessors })
+
+      return pick(['name', 'id', 'expires', 'predecessors'], currentApiKey)
     }, defaultToAnArray(apiKeysToDeploy))
   )
 }
 
+/**
+ * Get API keys which are in the state but not in the config anymore
+ * @param {Object} config
+ * @param {Object} state
+ * @returns {Array} - obsolete API keys
+ */
+const getObsoleteApiKeys = (config, state) =>
+  difference(
+    map(pick(['name']), defaultToAnArray(state.apiKeys)),
+    map(pick(['name']), formatInputApiKeys(config.apiKeys))
+  )
+
 /**
  * Remove obsolete API keys
  * @param {Object} appSync
@@ -116,28 +249,25 @@ const createOrUpdateApiKeys = async (appSync, config, state, debug) => {
  * @param {Function} debug
  */
 const removeObsoleteApiKeys = async (appSync, config, state, debug) => {
-  const obsoleteApiKeys = difference(
-    map(pick(['name']), defaultToAnArray(state.apiKeys)),
-    map(pick(['name']), formatInputApiKeys(config.apiKeys))
-  )
+  const obsoleteApiKeys = getObsoleteApiKeys(config, state)
 
   await Promise.all(
     map(async ({ name }) => {
       debug(`Removing api key ${name}`)
-      const { id } = find(propEq('name', name), state.apiKeys)
-      try {
-        await appSync.deleteApiKey({ apiId: config.apiId, id }).promise()
-      } catch (error) {
-        if (not(equals(error.code, 'NotFoundException'))) {
-          throw error
-        }
-        debug(`Api key ${name} already removed`)
-      }
+      const { id, predecessors } = find(propEq('name', name), state.apiKeys)
+      await removeApiKeysById(
+        appSync,
+        config,
+        concat([id], pluck('id', defaultToAnArray(predecessors))),
+        debug
+      )
     }, obsoleteApiKeys)
   )
 }
 
 module.exports = {
+  getApiKeysToDeploy,
   createOrUpdateApiKeys,
+  getObsoleteApiKeys,
   removeObsoleteApiKeys
 }
@@ -0,0 +1,169 @@
+const { createOrUpdateApiKeys, getApiKeysToDeploy, removeObsoleteApiKeys } = require('./apikeys')
+
+const day = 24 * 60 * 60
+const now = 1700000000
+
+const createAppSync = (calls) => {
+  let created = 0
+  const respond = (name, getResponse = () => ({})) => (params) => ({
+    promise: async () => {
+      calls.push([name, params])
+      return getResponse(params)
+    }
+  })
+  return {
+    createApiKey: respond('createApiKey', ({ expires }) => {
+      created += 1
+      return { apiKey: { id: `new-${created}`, expires } }
+    }),
+    updateApiKey: respond('updateApiKey', ({ id, expires }) => ({ apiKey: { id, expires } })),
+    deleteApiKey: respond('deleteApiKey')
+  }
+}
+
+const createConfig = (apiKeys, deployedApiKeys) => ({
+  apiId: 'api',
+  apiKeys,
+  inventory: { apiKeys: deployedApiKeys }
+})
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(now * 1000)
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('getApiKeysToDeploy', () => {
+  it('creates keys missing from the state and ignores keys far from expiry', async () => {
+    const config = createConfig(
+      ['created', { name: 'rotated', rotation: {} }],
+      [{ id: 'id-rotated', expires: now + 20 * day }]
+    )
+    const state = { apiKeys: [{ name: 'rotated', id: 'id-rotated' }] }
+    const apiKeys = await getApiKeysToDeploy({}, config, state)
+    expect(apiKeys.map(({ name, mode }) => [name, mode])).toEqual([
+      ['created', 'create'],
+      ['rotated', 'ignore']
+    ])
+  })
+
+  it('renews keys expiring within the renewal period, or rotates them with overlap', async () => {
+    const config = createConfig(
+      [
+        { name: 'renewed', rotation: { renewWithinDays: 7 } },
+        { name: 'overlapping', rotation: { overlap: true } }
+      ],
+      [
+        { id: 'id-renewed', expires: now + 6 * day },
+        { id: 'id-overlapping', expires: now + day }
+      ]
+    )
+    const state = {
+      apiKeys: [
+        { name: 'renewed', id: 'id-renewed' },
+        { name: 'overlapping', id: 'id-overlapping' }
+      ]
+    }
+    const apiKeys = await getApiKeysToDeploy({}, config, state)
+    expect(apiKeys.map(({ name, mode }) => [name, mode])).toEqual([
+      ['renewed', 'update'],
+      ['overlapping', 'rotate']
+    ])
+  })
+
+  it('creates keys again which were deleted from the API', async () => {
+    const config = createConfig([{ name: 'deleted', rotation: {} }], [])
+    const state = { apiKeys: [{ name: 'deleted', id: 'id-deleted' }] }
+    const [apiKey] = await getApiKeysToDeploy({}, config, state)
+    expect(apiKey.mode).toBe('create')
+  })
+
+  it('rejects invalid rotation policies', async () => {
+    await expect(
+      getApiKeysToDeploy(
+        {},
+        createConfig([{ name: 'key', rotation: { validForDays: 400 } }], []),
+        {}
+      )
+    ).rejects.toThrow('validForDays of api key key must be between 1 and 365')
+    await expect(
+      getApiKeysToDeploy(
+        {},
+        createConfig([{ name: 'key', rotation: { renewWithinDays: 30, validForDays: 30 } }], []),
+        {}
+      )
+    ).rejects.toThrow('renewWithinDays of api key key must be less than validForDays')
+  })
+})
+
+describe('createOrUpdateApiKeys', () => {
+  it('extends renewed keys by validForDays', async () => {
+    const calls = []
+    const config = createConfig(
+      [{ name: 'renewed', rotation: { validForDays: 30 } }],
+      [{ id: 'id-renewed', expires: now + day }]
+    )
+    const state = { apiKeys: [{ name: 'renewed', id: 'id-renewed' }] }
+    const apiKeys = await createOrUpdateApiKeys(createAppSync(calls), config, state, () => {})
+    expect(calls).toEqual([
+      ['updateApiKey', expect.objectContaining({ id: 'id-renewed', expires: now + 30 * day })]
+    ])
+    expect(apiKeys).toEqual([{ name: 'renewed', id: 'id-renewed', expires: now + 30 * day }])
+  })
+
+  it('creates a successor and keeps the predecessor for the grace period', async () => {
+    const calls = []
+    const config = createConfig(
+      [{ name: 'key', rotation: { overlap: true, gracePeriodDays: 2 } }],
+      [{ id: 'id-old', expires: now + day }]
+    )
+    const state = { apiKeys: [{ name: 'key', id: 'id-old' }] }
+    const [apiKey] = await createOrUpdateApiKeys(createAppSync(calls), config, state, () => {})
+    expect(calls.map(([name]) => name)).toEqual(['createApiKey'])
+    expect(apiKey).toEqual({
+      name: 'key',
+      id: 'new-1',
+      expires: now + 30 * day,
+      predecessors: [{ id: 'id-old', expires: now + day, removeAfter: now + 2 * day }]
+    })
+  })
+
+  it('removes predecessors once their grace period has passed', async () => {
+    const calls = []
+    const config = createConfig(
+      [{ name: 'key', rotation: { overlap: true } }],
+      [{ id: 'id-current', expires: now + 20 * day }]
+    )
+    const state = {
+      apiKeys: [
+        {
+          name: 'key',
+          id: 'id-current',
+          predecessors: [
+            { id: 'id-expired', removeAfter: now - 1 },
+            { id: 'id-kept', removeAfter: now + day }
+          ]
+        }
+      ]
+    }
+    const [apiKey] = await createOrUpdateApiKeys(createAppSync(calls), config, state, () => {})
+    expect(calls).toEqual([['deleteApiKey', { apiId: 'api', id: 'id-expired' }]])
+    expect(apiKey.predecessors).toEqual([{ id: 'id-kept', removeAfter: now + day }])
+  })
+})
+
+describe('removeObsoleteApiKeys', () => {
+  it('removes obsolete keys with their predecessors', async () => {
+    const calls = []
+    const state = {
+      apiKeys: [
+        { name: 'kept', id: 'id-kept' },
+        { name: 'removed', id: 'id-removed', predecessors: [{ id: 'id-predecessor' }] }
+      ]
+    }
+    await removeObsoleteApiKeys(createAppSync(calls), createConfig(['kept'], []), state, () => {})
+    expect(calls.map(([, { id }]) => id)).toEqual(['id-removed', 'id-predecessor'])
+  })
+})
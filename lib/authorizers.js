@@ -0,0 +1,103 @@
+const {
+  concat,
+  difference,
+  equals,
+  filter,
+  isNil,
+  map,
+  not,
+  path,
+  pipe,
+  reject,
+  uniq
+} = require('ramda')
+
+const { defaultToAnArray } = require('.')
+
+/**
+ * Get the Lambda authorizer function arns of the primary and additional auth providers
+ * @param {Object} config
+ * @returns {Array} - function arns
+ */
+const getLambdaAuthorizerArns = (config) =>
+  pipe(
+    filter(({ authenticationType }) => equals(authenticationType, 'AWS_LAMBDA')),
+    map(path(['lambdaAuthorizerConfig', 'authorizerUri'])),
+    reject(isNil),
+    uniq
+  )(concat([config], defaultToAnArray(config.additionalAuthenticationProviders)))
+
+const getStatementId = (apiId) => `appsync-${apiId}`
+
+/**
+ * Remove the permissions of AppSync to invoke Lambda authorizers
+ * @param {Object} lambda
+ * @param {Object} config
+ * @param {Array} functionArns
+ * @param {Function} debug
+ */
+const removeLambdaAuthorizerPermissions = async (lambda, config, functionArns, debug) => {
+  await Promise.all(
+    map(async (functionArn) => {
+      debug(`Removing permission to invoke Lambda authorizer ${functionArn}`)
+      try {
+        await lambda
+          .removePermission({
+            FunctionName: functionArn,
+            StatementId: getStatementId(config.apiId)
+          })
+          .promise()
+      } catch (error) {
+        if (not(equals(error.code, 'ResourceNotFoundException'))) {
+          throw error
+        }
+      }
+    }, defaultToAnArray(functionArns))
+  )
+}
+
+/**
+ * Allow AppSync to invoke the Lambda authorizers and remove the permissions of authorizers which
+ * are not used anymore, permissions are added on each deployment to restore removed permissions
+ * @param {Object} lambda
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ * @returns {Array} - function arns of the authorizers
+ */
+const createLambdaAuthorizerPermissions = async (lambda, config, state, debug) => {
+  const functionArns = getLambdaAuthorizerArns(config)
+  await Promise.all(
+    map(async (functionArn) => {
+      debug(`Allowing AppSync to invoke Lambda authorizer ${functionArn}`)
+      try {
+        await lambda
+          .addPermission({
+            FunctionName: functionArn,
+            StatementId: getStatementId(config.apiId),
+            Action: 'lambda:InvokeFunction',
+            Principal: 'appsync.amazonaws.com',
+            SourceArn: config.arn
+          })
+          .promise()
+      } catch (error) {
+        // the permission exists already
+        if (not(equals(error.code, 'ResourceConflictException'))) {
+          throw error
+        }
+      }
+    }, functionArns)
+  )
+  await removeLambdaAuthorizerPermissions(
+    lambda,
+    config,
+    difference(defaultToAnArray(state.lambdaAuthorizers), functionArns),
+    debug
+  )
+  return functionArns
+}
+
+module.exports = {
+  createLambdaAuthorizerPermissions,
+  removeLambdaAuthorizerPermissions
+}
@@ -0,0 +1,63 @@
+const { createLambdaAuthorizerPermissions } = require('./authorizers')
+
+const authorizerArn = 'arn:aws:lambda:us-east-1:123456789012:function:authorizer'
+const removedArn = 'arn:aws:lambda:us-east-1:123456789012:function:removed'
+
+const conflict = () => {
+  const error = new Error('The statement id provided already exists')
+  error.code = 'ResourceConflictException'
+  throw error
+}
+
+const createLambda = (calls, addPermission = () => ({})) => ({
+  addPermission: (params) => ({
+    promise: async () => {
+      calls.push(['addPermission', params.FunctionName])
+      return addPermission(params)
+    }
+  }),
+  removePermission: (params) => ({
+    promise: async () => {
+      calls.push(['removePermission', params.FunctionName])
+      return {}
+    }
+  })
+})
+
+const config = {
+  apiId: 'api',
+  arn: 'arn:aws:appsync:us-east-1:123456789012:apis/api',
+  authenticationType: 'API_KEY',
+  additionalAuthenticationProviders: [
+    { authenticationType: 'AWS_LAMBDA', lambdaAuthorizerConfig: { authorizerUri: authorizerArn } }
+  ]
+}
+
+describe('createLambdaAuthorizerPermissions', () => {
+  it('adds the permissions of deployed authorizers again to restore removed permissions', async () => {
+    const calls = []
+    const functionArns = await createLambdaAuthorizerPermissions(
+      createLambda(calls),
+      config,
+      { lambdaAuthorizers: [authorizerArn, removedArn] },
+      () => {}
+    )
+    expect(functionArns).toEqual([authorizerArn])
+    expect(calls).toEqual([
+      ['addPermission', authorizerArn],
+      ['removePermission', removedArn]
+    ])
+  })
+
+  it('ignores permissions which exist already', async () => {
+    const calls = []
+    await expect(
+      createLambdaAuthorizerPermissions(
+        createLambda(calls, conflict),
+        config,
+        { lambdaAuthorizers: [authorizerArn] },
+        () => {}
+      )
+    ).resolves.toEqual([authorizerArn])
+  })
+})
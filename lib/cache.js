@@ -0,0 +1,152 @@
+const { utils } = require('@serverless/core')
+const { equals, isNil, merge, not, pick } = require('ramda')
+
+const { equalsByKeys } = require('.')
+
+const cacheDefaults = {
+  type: 'SMALL',
+  ttl: 3600,
+  apiCachingBehavior: 'FULL_REQUEST_CACHING',
+  atRestEncryptionEnabled: false,
+  transitEncryptionEnabled: false
+}
+
+// the cache is polled once a second while it's deleted
+const maxDeletionAttempts = 300
+
+/**
+ * Get deployed API cache
+ * @param {Object} appSync
+ * @param {Object} config
+ * @returns {Object} - API cache, undefined if not found
+ */
+const getApiCache = async (appSync, config) => {
+  if (isNil(config.apiId)) {
+    return undefined
+  }
+  try {
+    const { apiCache } = await appSync.getApiCache({ apiId: config.apiId }).promise()
+    return apiCache
+  } catch (error) {
+    if (not(equals(error.code, 'NotFoundException'))) {
+      throw error
+    }
+    return undefined
+  }
+}
+
+/**
+ * Get API cache with the deploy mode (create, update, replace, remove or ignore)
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @returns {Object} - API cache to deploy
+ */
+const getApiCacheToDeploy = async (appSync, config, state) => {
+  const deployedApiCache = await getApiCache(appSync, config)
+  if (isNil(config.cache)) {
+    const mode = not(isNil(deployedApiCache)) && not(isNil(state.cache)) ? 'remove' : 'ignore'
+    return { mode }
+  }
+
+  const apiCache = merge(cacheDefaults, config.cache)
+  let mode
+  if (isNil(deployedApiCache)) {
+    mode = 'create'
+  } else if (
+    not(
+      equalsByKeys(
+        ['atRestEncryptionEnabled', 'transitEncryptionEnabled'],
+        deployedApiCache,
+        apiCache
+      )
+    )
+  ) {
+    // encryption settings can't be updated, the cache has to be recreated
+    mode = 'replace'
+  } else if (not(equalsByKeys(['type', 'ttl', 'apiCachingBehavior'], deployedApiCache, apiCache))) {
+    mode = 'update'
+  } else {
+    mode = 'ignore'
+  }
+  return merge(apiCache, { mode })
+}
+
+/**
+ * Remove API cache
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ */
+const removeApiCache = async (appSync, config, state, debug) => {
+  if (isNil(state.cache)) {
+    return
+  }
+  debug(`Removing API cache from ${config.apiId}`)
+  try {
+    await appSync.deleteApiCache({ apiId: config.apiId }).promise()
+  } catch (error) {
+    if (not(equals(error.code, 'NotFoundException'))) {
+      throw error
+    }
+    debug(`API cache of ${config.apiId} already removed`)
+  }
+}
+
+/**
+ * Create or update API cache
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ * @returns {Object} - deployed API cache
+ */
+const createOrUpdateApiCache = async (appSync, config, state, debug) => {
+  const apiCache = await getApiCacheToDeploy(appSync, config, state)
+  const cacheConfig = pick(
+    ['type', 'ttl', 'apiCachingBehavior', 'atRestEncryptionEnabled', 'transitEncryptionEnabled'],
+    apiCache
+  )
+  const params = merge(cacheConfig, { apiId: config.apiId })
+
+  if (equals(apiCache.mode, 'remove')) {
+    await removeApiCache(appSync, config, state, debug)
+    return undefined
+  }
+
+  if (equals(apiCache.mode, 'replace')) {
+    debug(`Removing API cache from ${config.apiId} to change encryption settings`)
+    await appSync.deleteApiCache({ apiId: config.apiId }).promise()
+    let attempts = 0
+    let deletedCache = await getApiCache(appSync, config)
+    while (not(isNil(deletedCache))) {
+      attempts += 1
+      if (attempts > maxDeletionAttempts) {
+        throw new Error(
+          `API cache of ${config.apiId} not deleted after ${maxDeletionAttempts} attempts, status ${deletedCache.status}`
+        )
+      }
+      await utils.sleep(1000)
+      deletedCache = await getApiCache(appSync, config)
+    }
+  }
+
+  if (equals(apiCache.mode, 'create') || equals(apiCache.mode, 'replace')) {
+    debug(`Creating API cache for ${config.apiId}`)
+    await appSync.createApiCache(params).promise()
+  } else if (equals(apiCache.mode, 'update')) {
+    debug(`Updating API cache of ${config.apiId}`)
+    await appSync
+      .updateApiCache(pick(['apiId', 'type', 'ttl', 'apiCachingBehavior'], params))
+      .promise()
+  }
+
+  return isNil(config.cache) ? undefined : cacheConfig
+}
+
+module.exports = {
+  getApiCacheToDeploy,
+  createOrUpdateApiCache,
+  removeApiCache
+}
@@ -1,12 +1,27 @@
-const { clone, difference, equals, find, isNil, map, merge, not, pick } = require('ramda')
+const {
+  any,
+  clone,
+  defaultTo,
+  equals,
+  find,
+  includes,
+  isNil,
+  map,
+  merge,
+  not,
+  pickBy,
+  propEq,
+  reject
+} = require('ramda')
 
 const {
   equalsByKeysExcluded,
-  listAll,
   pickExcluded,
   defaultToAnArray,
-  checkForDuplicates
+  checkForDuplicates,
+  checkForRequired
 } = require('.')
+const { listDeployed } = require('./inventory')
 
 /**
  * Format data source
@@ -19,7 +34,8 @@ const formatDataSource = (dataSource, region) => {
     name: dataSource.name,
     type: dataSource.type
   }
-  const config = clone(dataSource.config)
+  // NONE data sources don't need a config
+  const config = clone(defaultTo({}, dataSource.config))
   delete config.region // delete because awsRegion is used in the datasource configs...
   result.description = dataSource.description || null
   switch (dataSource.type) {
@@ -34,6 +50,15 @@ const formatDataSource = (dataSource, region) => {
       })
       result.dynamodbConfig.awsRegion = region
       result.dynamodbConfig.useCallerCredentials = !!config.useCallerCredentials
+      if (config.versioned) {
+        result.dynamodbConfig.versioned = true
+        checkForRequired(['deltaSyncConfig'], config)
+        checkForRequired(['deltaSyncTableName'], config.deltaSyncConfig)
+        result.dynamodbConfig.deltaSyncConfig = merge(
+          { baseTableTTL: 43200, deltaSyncTableTTL: 1440 },
+          config.deltaSyncConfig
+        )
+      }
       break
     case 'AMAZON_ELASTICSEARCH':
       result = merge(result, {
@@ -63,24 +88,65 @@ const formatDataSource = (dataSource, region) => {
 }
 
 /**
- * Create or update data sources
+ * Parse a deployed data source to data source inputs, reverse of formatDataSource
+ * @param {Object} deployedDataSource
+ * @param {String} region - region of the API
+ * @returns {Object} - data source inputs
+ */
+const parseDataSource = (deployedDataSource, region) => {
+  const result = {
+    type: deployedDataSource.type,
+    name: deployedDataSource.name
+  }
+  if (deployedDataSource.description) {
+    result.description = deployedDataSource.description
+  }
+  if (deployedDataSource.serviceRoleArn) {
+    result.serviceRoleArn = deployedDataSource.serviceRoleArn
+  }
+  let config
+  switch (deployedDataSource.type) {
+    case 'AWS_LAMBDA':
+      config = deployedDataSource.lambdaConfig
+      break
+    case 'AMAZON_DYNAMODB':
+      // flags default to false
+      config = pickBy((value) => not(equals(value, false)), deployedDataSource.dynamodbConfig)
+      break
+    case 'AMAZON_ELASTICSEARCH':
+      config = deployedDataSource.elasticsearchConfig
+      break
+    case 'HTTP':
+      config = deployedDataSource.httpConfig
+      break
+    case 'RELATIONAL_DATABASE':
+      config = deployedDataSource.relationalDatabaseConfig.rdsHttpEndpointConfig
+      break
+    default:
+      config = {}
+  }
+  // awsRegion is set from the region input
+  result.config = pickExcluded(['awsRegion'], config)
+  if (not(isNil(config.awsRegion)) && not(equals(config.awsRegion, region))) {
+    result.config.region = config.awsRegion
+  }
+  return result
+}
+
+/**
+ * Get data sources with the deploy mode (create, update, replace or ignore), data sources are
+ * replaced when their type changes
  * @param {Object} appSync
  * @param {Object} config
- * @param {Function} debug
- * @return {Object} - deployed data sources
+ * @return {Array} - data sources to deploy
  */
-const createOrUpdateDataSources = async (appSync, config, debug) => {
+const getDataSourcesToDeploy = async (appSync, config) => {
   checkForDuplicates(['name', 'type'], defaultToAnArray(config.dataSources))
-  const deployedDataSources = await listAll(
-    appSync,
-    'listDataSources',
-    { apiId: config.apiId },
-    'dataSources'
-  )
+  const deployedDataSources = await listDeployed(appSync, config, 'dataSources')
 
-  const dataSourcesToDeploy = map((dataSource) => {
+  return map((dataSource) => {
     const formattedDataSource = merge(
-      formatDataSource(dataSource, dataSource.config.region || config.region),
+      formatDataSource(dataSource, defaultTo({}, dataSource.config).region || config.region),
       {
         apiId: config.apiId,
         serviceRoleArn: dataSource.serviceRoleArn
@@ -97,25 +163,66 @@ const createOrUpdateDataSources = async (appSync, config, debug) => {
           deployedDataSource,
           formattedDataSource
         )
-    const mode = not(dataSourcesEquals) ? (not(deployedDataSource) ? 'create' : 'update') : 'ignore'
+    let mode = not(dataSourcesEquals) ? (not(deployedDataSource) ? 'create' : 'update') : 'ignore'
+    if (deployedDataSource && not(equals(deployedDataSource.type, formattedDataSource.type))) {
+      mode = 'replace'
+    }
     return merge(formattedDataSource, { mode })
   }, defaultToAnArray(config.dataSources))
+}
 
-  return await Promise.all(
-    map(async (dataSource) => {
-      const params = pickExcluded(['mode'], dataSource)
-      if (equals(dataSource.mode, 'create')) {
-        debug(`Creating data source ${params.name}`)
-        await appSync.createDataSource(params).promise()
-      } else if (equals(dataSource.mode, 'update')) {
-        debug(`Updating data source ${params.name}`)
-        await appSync.updateDataSource(params).promise()
-      }
-      return Promise.resolve(dataSource)
-    }, dataSourcesToDeploy)
-  )
+/**
+ * Remove a data source
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {String} name
+ * @param {Function} debug
+ */
+const removeDataSource = async (appSync, config, name, debug) => {
+  debug(`Removing data source ${name}`)
+  try {
+    await appSync.deleteDataSource({ apiId: config.apiId, name }).promise()
+  } catch (error) {
+    if (not(equals(error.code, 'NotFoundException'))) {
+      throw error
+    }
+    debug(`Data source ${name} already removed`)
+  }
 }
 
+/**
+ * Create or update a data source, replaced data sources are created after the deployed data
+ * source has been removed
+ * @param {Object} appSync
+ * @param {Object} dataSource - data source to deploy
+ * @param {Function} debug
+ * @return {Object} - deployed data source
+ */
+const createOrUpdateDataSource = async (appSync, dataSource, debug) => {
+  const params = pickExcluded(['mode'], dataSource)
+  if (includes(dataSource.mode, ['create', 'replace'])) {
+    debug(`Creating data source ${params.name}`)
+    await appSync.createDataSource(params).promise()
+  } else if (equals(dataSource.mode, 'update')) {
+    debug(`Updating data source ${params.name}`)
+    await appSync.updateDataSource(params).promise()
+  }
+  return dataSource
+}
+
+/**
+ * Get data sources which are in the state but not in the config anymore, data sources which
+ * changed type are replaced instead
+ * @param {Object} config
+ * @param {Object} state
+ * @return {Array} - obsolete data sources
+ */
+const getObsoleteDataSources = (config, state) =>
+  reject(
+    ({ name }) => any(propEq('name', name), defaultToAnArray(config.dataSources)),
+    defaultToAnArray(state.dataSources)
+  )
+
 /**
  * Remove obsolete data sources
  * @param {Object} appSync
@@ -124,26 +231,17 @@ const createOrUpdateDataSources = async (appSync, config, debug) => {
  * @param {Function} debug
  */
 const removeObsoleteDataSources = async (appSync, config, state, debug) => {
-  const obsoleteDataSources = difference(
-    defaultToAnArray(state.dataSources),
-    map(pick(['name', 'type']), defaultToAnArray(config.dataSources))
-  )
+  const obsoleteDataSources = getObsoleteDataSources(config, state)
   await Promise.all(
-    map(async ({ name }) => {
-      debug(`Removing data source ${name}`)
-      try {
-        await appSync.deleteDataSource({ apiId: config.apiId, name }).promise()
-      } catch (error) {
-        if (not(equals(error.code, 'NotFoundException'))) {
-          throw error
-        }
-        debug(`Data source ${name} already removed`)
-      }
-    }, obsoleteDataSources)
+    map(({ name }) => removeDataSource(appSync, config, name, debug), obsoleteDataSources)
   )
 }
 
 module.exports = {
-  createOrUpdateDataSources,
+  parseDataSource,
+  getDataSourcesToDeploy,
+  createOrUpdateDataSource,
+  removeDataSource,
+  getObsoleteDataSources,
   removeObsoleteDataSources
 }
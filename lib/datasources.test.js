@@ -0,0 +1,37 @@
+const { getDataSourcesToDeploy } = require('./datasources')
+
+const serviceRoleArn = 'arn:aws:iam::123456789012:role/service'
+
+describe('getDataSourcesToDeploy', () => {
+  it('deploys a NONE data source without a config', async () => {
+    const config = {
+      apiId: 'api',
+      region: 'us-east-1',
+      dataSources: [
+        { type: 'NONE', name: 'created', serviceRoleArn },
+        { type: 'NONE', name: 'deployed', serviceRoleArn }
+      ],
+      inventory: {
+        dataSources: [{ name: 'deployed', type: 'NONE', serviceRoleArn, description: null }]
+      }
+    }
+    expect(await getDataSourcesToDeploy({}, config)).toEqual([
+      {
+        apiId: 'api',
+        name: 'created',
+        type: 'NONE',
+        description: null,
+        serviceRoleArn,
+        mode: 'create'
+      },
+      {
+        apiId: 'api',
+        name: 'deployed',
+        type: 'NONE',
+        description: null,
+        serviceRoleArn,
+        mode: 'ignore'
+      }
+    ])
+  })
+})
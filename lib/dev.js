@@ -0,0 +1,409 @@
+const AWS = require('aws-sdk')
+const http = require('http')
+const path = require('path')
+const { graphql } = require('graphql')
+const {
+  equals,
+  find,
+  forEach,
+  includes,
+  isEmpty,
+  isNil,
+  map,
+  merge,
+  mergeAll,
+  not,
+  pluck,
+  propEq,
+  reduce
+} = require('ramda')
+
+const { defaultToAnArray, readMappingTemplate } = require('.')
+const { loadSchema } = require('./schema')
+const { renderMappingTemplate } = require('./vtl')
+
+/**
+ * Load a local handler, the module is reloaded on each call to pick up changes
+ * @param {String} handler - module path and exported function, e.g. src/index.handler
+ * @returns {Function} - handler function
+ */
+const loadHandler = (handler) => {
+  const separatorIndex = handler.lastIndexOf('.')
+  const modulePath = require.resolve(path.resolve(handler.slice(0, separatorIndex)))
+  delete require.cache[modulePath]
+  const handlerFunction = require(modulePath)[handler.slice(separatorIndex + 1)]
+  if (typeof handlerFunction !== 'function') {
+    throw new Error(`Handler ${handler} is not a function`)
+  }
+  return handlerFunction
+}
+
+/**
+ * Invoke the local handler of a Lambda data source
+ * @param {Object} dataSource
+ * @param {Object} request - rendered request mapping template
+ * @returns {*} - handler result
+ */
+const invokeLambda = async (dataSource, request) => {
+  const handler = dataSource.local && dataSource.local.handler
+  if (isNil(handler)) {
+    throw new Error(`Local handler not defined for data source ${dataSource.name}`)
+  }
+  const handlerFunction = loadHandler(handler)
+  return new Promise((resolve, reject) => {
+    const callback = (error, result) => (error ? reject(error) : resolve(result))
+    const result = handlerFunction(request.payload, { functionName: dataSource.name }, callback)
+    if (result && typeof result.then === 'function') {
+      result.then(resolve, reject)
+    }
+  })
+}
+
+/**
+ * Merge the expression names and values of the expressions of a DynamoDB request
+ * @param {Array} expressions
+ * @returns {Object} - expression attribute names and values
+ */
+const getExpressionAttributes = (expressions) => {
+  const definedExpressions = expressions.filter((expression) => not(isNil(expression)))
+  const names = mergeAll(pluck('expressionNames', definedExpressions).filter(Boolean))
+  const values = mergeAll(pluck('expressionValues', definedExpressions).filter(Boolean))
+  return {
+    ExpressionAttributeNames: isEmpty(names) ? undefined : names,
+    ExpressionAttributeValues: isEmpty(values) ? undefined : values
+  }
+}
+
+const encodeNextToken = (lastEvaluatedKey) =>
+  isNil(lastEvaluatedKey) ? null : Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64')
+
+const decodeNextToken = (nextToken) =>
+  isNil(nextToken) ? undefined : JSON.parse(Buffer.from(nextToken, 'base64').toString())
+
+/**
+ * Run a DynamoDB mapping template request against a local DynamoDB compatible endpoint
+ * @param {Object} dataSource
+ * @param {Object} request - rendered request mapping template
+ * @param {Object} config
+ * @param {Object} credentials
+ * @returns {*} - result in the format AppSync returns it
+ */
+const invokeDynamoDb = async (dataSource, request, config, credentials) => {
+  const endpoint =
+    (dataSource.local && dataSource.local.endpoint) ||
+    (config.dev && config.dev.dynamodbEndpoint) ||
+    'http://localhost:8000'
+  const dynamodb = new AWS.DynamoDB({
+    endpoint,
+    region: config.region,
+    credentials:
+      credentials && credentials.accessKeyId
+        ? credentials
+        : { accessKeyId: 'local', secretAccessKey: 'local' }
+  })
+  const { unmarshall } = AWS.DynamoDB.Converter
+  const TableName = dataSource.config.tableName
+  const condition = request.condition || undefined
+  switch (request.operation) {
+    case 'GetItem': {
+      const { Item } = await dynamodb
+        .getItem({ TableName, Key: request.key, ConsistentRead: request.consistentRead })
+        .promise()
+      return isNil(Item) ? null : unmarshall(Item)
+    }
+    case 'PutItem': {
+      const Item = merge(request.attributeValues, request.key)
+      await dynamodb
+        .putItem(
+          merge(
+            { TableName, Item, ConditionExpression: condition && condition.expression },
+            getExpressionAttributes([condition])
+          )
+        )
+        .promise()
+      return unmarshall(Item)
+    }
+    case 'UpdateItem': {
+      const { Attributes } = await dynamodb
+        .updateItem(
+          merge(
+            {
+              TableName,
+              Key: request.key,
+              UpdateExpression: request.update.expression,
+              ConditionExpression: condition && condition.expression,
+              ReturnValues: 'ALL_NEW'
+            },
+            getExpressionAttributes([request.update, condition])
+          )
+        )
+        .promise()
+      return isNil(Attributes) ? null : unmarshall(Attributes)
+    }
+    case 'DeleteItem': {
+      const { Attributes } = await dynamodb
+        .deleteItem(
+          merge(
+            {
+              TableName,
+              Key: request.key,
+              ConditionExpression: condition && condition.expression,
+              ReturnValues: 'ALL_OLD'
+            },
+            getExpressionAttributes([condition])
+          )
+        )
+        .promise()
+      return isNil(Attributes) ? null : unmarshall(Attributes)
+    }
+    case 'Query':
+    case 'Scan': {
+      const params = merge(
+        {
+          TableName,
+          IndexName: request.index,
+          KeyConditionExpression: request.query && request.query.expression,
+          FilterExpression: request.filter && request.filter.expression,
+          Limit: request.limit,
+          ExclusiveStartKey: decodeNextToken(request.nextToken),
+          ConsistentRead: request.consistentRead,
+          Select: request.select
+        },
+        getExpressionAttributes([request.query, request.filter])
+      )
+      if (equals(request.operation, 'Query')) {
+        params.ScanIndexForward = request.scanIndexForward
+      }
+      const response = await (equals(request.operation, 'Query')
+        ? dynamodb.query(params)
+        : dynamodb.scan(params)
+      ).promise()
+      return {
+        items: map(unmarshall, defaultToAnArray(response.Items)),
+        nextToken: encodeNextToken(response.LastEvaluatedKey),
+        scannedCount: response.ScannedCount
+      }
+    }
+    default:
+      throw new Error(`DynamoDB operation ${request.operation} is not supported locally`)
+  }
+}
+
+/**
+ * Invoke a data source with the rendered request mapping template
+ * @param {Object} dataSource
+ * @param {Object} request
+ * @param {Object} config
+ * @param {Object} credentials
+ * @returns {*} - data source result
+ */
+const invokeDataSource = (dataSource, request, config, credentials) => {
+  switch (dataSource.type) {
+    case 'AWS_LAMBDA':
+      return invokeLambda(dataSource, request)
+    case 'AMAZON_DYNAMODB':
+      return invokeDynamoDb(dataSource, request, config, credentials)
+    case 'NONE':
+      return request.payload
+    default:
+      throw new Error(`Data source type ${dataSource.type} is not supported locally`)
+  }
+}
+
+/**
+ * Render a mapping template, errors raised by the template are thrown
+ * @param {String} template
+ * @param {Object} context
+ * @returns {*} - rendered value, parsed if the output is JSON
+ */
+const runTemplate = (template, context) => {
+  const { output, result, error } = renderMappingTemplate(template, context)
+  if (not(isNil(error))) {
+    const templateError = new Error(error.message)
+    templateError.extensions = { errorType: error.type, data: error.data }
+    throw templateError
+  }
+  return isNil(result) ? output.trim() : result
+}
+
+/**
+ * Run a request mapping template, the data source and the response mapping template
+ * @param {Object} item - resolver or function
+ * @param {Object} context
+ * @param {Object} config
+ * @param {Object} credentials
+ * @returns {*} - result
+ */
+const runDataSource = async (item, context, config, credentials) => {
+  const dataSource = find(propEq('name', item.dataSource), defaultToAnArray(config.dataSources))
+  if (isNil(dataSource)) {
+    throw new Error(`Data source ${item.dataSource} not found`)
+  }
+  const requestTemplate = await readMappingTemplate(item.request, config, item)
+  const responseTemplate = await readMappingTemplate(item.response, config, item)
+  if (equals(dataSource.type, 'AWS_LAMBDA') && isNil(requestTemplate)) {
+    // same as the default Lambda templates, the arguments are passed as is
+    return invokeLambda(dataSource, { payload: context.arguments })
+  }
+  const request = runTemplate(requestTemplate, context)
+  let result = null
+  try {
+    result = await invokeDataSource(dataSource, request, config, credentials)
+  } catch (error) {
+    context.error = { message: error.message, type: error.code || error.name }
+  }
+  if (isNil(responseTemplate)) {
+    return result
+  }
+  return runTemplate(responseTemplate, merge(context, { result }))
+}
+
+/**
+ * Create a field resolver of a mapping template
+ * @param {Object} mappingTemplate
+ * @param {Object} config
+ * @param {Object} credentials
+ * @returns {Function} - graphql field resolver
+ */
+const createFieldResolver = (mappingTemplate, config, credentials) => async (
+  source,
+  args,
+  request
+) => {
+  const context = {
+    arguments: args,
+    source,
+    identity: null,
+    stash: {},
+    request: { headers: request.headers }
+  }
+  if (not(equals(mappingTemplate.kind, 'PIPELINE'))) {
+    return runDataSource(mappingTemplate, context, config, credentials)
+  }
+  const before = await readMappingTemplate(
+    mappingTemplate.before || mappingTemplate.request,
+    config,
+    mappingTemplate
+  )
+  const after = await readMappingTemplate(
+    mappingTemplate.after || mappingTemplate.response,
+    config,
+    mappingTemplate
+  )
+  let prev = { result: isNil(before) ? {} : runTemplate(before, context) }
+  for (const functionName of defaultToAnArray(mappingTemplate.functions)) {
+    const func = find(propEq('name', functionName), defaultToAnArray(config.functions))
+    if (isNil(func)) {
+      throw new Error(`Function ${functionName} not found`)
+    }
+    prev = { result: await runDataSource(func, merge(context, { prev }), config, credentials) }
+  }
+  return isNil(after)
+    ? prev.result
+    : runTemplate(after, merge(context, { prev, result: prev.result }))
+}
+
+/**
+ * Check the API key of a request against the configured keys, keys can be used by their name
+ * or their deployed id
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Object} headers
+ * @returns {Boolean} - authorized
+ */
+const isAuthorized = (config, state, headers) => {
+  if (not(equals(config.authenticationType, 'API_KEY'))) {
+    return true
+  }
+  const apiKeys = reduce(
+    (acc, apiKey) => {
+      acc.push(typeof apiKey === 'string' ? apiKey : apiKey.name)
+      return acc
+    },
+    pluck('id', defaultToAnArray(state.apiKeys)),
+    defaultToAnArray(config.apiKeys)
+  )
+  return includes(headers['x-api-key'], apiKeys)
+}
+
+/**
+ * Read the JSON body of a request
+ * @param {Object} request
+ * @returns {Object} - body
+ */
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    let body = ''
+    request.on('data', (chunk) => {
+      body += chunk
+    })
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'))
+      } catch (error) {
+        reject(error)
+      }
+    })
+    request.on('error', reject)
+  })
+
+/**
+ * Start a local graphql server backed by the configured schema, data sources and templates
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Object} credentials
+ * @param {Function} debug
+ * @returns {Object} - server and url
+ */
+const startDevServer = async (config, state, credentials, debug) => {
+  const graphqlSchema = await loadSchema(config, debug)
+  forEach((mappingTemplate) => {
+    const field = graphqlSchema.getType(mappingTemplate.type).getFields()[mappingTemplate.field]
+    field.resolve = createFieldResolver(mappingTemplate, config, credentials)
+  }, defaultToAnArray(config.mappingTemplates))
+
+  const server = http.createServer(async (request, response) => {
+    const send = (statusCode, body) => {
+      response.writeHead(statusCode, { 'Content-Type': 'application/json' })
+      response.end(JSON.stringify(body))
+    }
+    if (not(equals(request.method, 'POST'))) {
+      return send(405, { errors: [{ message: 'Only POST requests are supported' }] })
+    }
+    if (not(isAuthorized(config, state, request.headers))) {
+      return send(401, {
+        errors: [
+          {
+            errorType: 'UnauthorizedException',
+            message: 'You are not authorized to make this call.'
+          }
+        ]
+      })
+    }
+    try {
+      const { query, variables, operationName } = await readBody(request)
+      debug(`Executing ${operationName || 'graphql operation'}`)
+      const result = await graphql(graphqlSchema, query, null, request, variables, operationName)
+      return send(200, result)
+    } catch (error) {
+      return send(400, { errors: [{ message: error.message }] })
+    }
+  })
+
+  const port = (config.dev && config.dev.port) || 20002
+  await new Promise((resolve, reject) => {
+    server.once('error', (error) =>
+      reject(
+        equals(error.code, 'EADDRINUSE')
+          ? new Error(`Port ${port} of the dev server is already in use`)
+          : new Error(`Starting the dev server on port ${port} failed: ${error.message}`)
+      )
+    )
+    server.listen(port, resolve)
+  })
+  return { server, url: `http://localhost:${port}/graphql` }
+}
+
+module.exports = {
+  startDevServer
+}
@@ -0,0 +1,372 @@
+const { utils } = require('@serverless/core')
+const {
+  concat,
+  equals,
+  filter,
+  find,
+  isNil,
+  join,
+  merge,
+  not,
+  propEq,
+  range,
+  split
+} = require('ramda')
+
+// certificates and API associations are polled every two seconds
+const maxAttempts = 150
+
+/**
+ * List the hosted zones with the name, public and private zones can have the same name
+ * @param {Object} route53
+ * @param {String} name - e.g. example.com
+ * @returns {Array} - hosted zones
+ */
+const listHostedZones = async (route53, name) => {
+  let hostedZones = []
+  let params = { DNSName: name }
+  for (;;) {
+    const {
+      HostedZones,
+      IsTruncated,
+      NextDNSName,
+      NextHostedZoneId
+    } = await route53.listHostedZonesByName(params).promise()
+    hostedZones = concat(hostedZones, filter(propEq('Name', `${name}.`), HostedZones))
+    // zones are listed in the order of their names
+    if (not(IsTruncated) || not(equals(NextDNSName, `${name}.`))) {
+      return hostedZones
+    }
+    params = { DNSName: NextDNSName, HostedZoneId: NextHostedZoneId }
+  }
+}
+
+/**
+ * Get the public hosted zone of a domain, the zone with the longest matching name is used
+ * @param {Object} route53
+ * @param {String} domain - e.g. api.dev.example.com
+ * @returns {Object} - hosted zone id and name without the trailing dot
+ */
+const getHostedZone = async (route53, domain) => {
+  const labels = split('.', domain)
+  // api.dev.example.com -> dev.example.com, example.com
+  const candidates = range(1, labels.length - 1).map((index) => join('.', labels.slice(index)))
+  for (const candidate of candidates) {
+    const hostedZone = find(
+      (zone) => not(zone.Config && zone.Config.PrivateZone),
+      await listHostedZones(route53, candidate)
+    )
+    if (not(isNil(hostedZone))) {
+      return { id: hostedZone.Id.replace('/hostedzone/', ''), name: candidate }
+    }
+  }
+  throw new Error(`Hosted zone for domain ${domain} not found`)
+}
+
+/**
+ * Split a domain to the domain of its hosted zone and the subdomain
+ * @param {Object} route53
+ * @param {String} domain - e.g. api.dev.example.com
+ * @returns {Object} - e.g. { domain: 'example.com', subdomain: 'api.dev' }
+ */
+const splitDomain = async (route53, domain) => {
+  const hostedZone = await getHostedZone(route53, domain)
+  return {
+    domain: hostedZone.name,
+    subdomain: domain.slice(0, -(hostedZone.name.length + 1))
+  }
+}
+
+/**
+ * Check if an issued or pending certificate covers the domain
+ * @param {String} domain
+ * @param {String} certificateDomain
+ * @returns {Boolean}
+ */
+const certificateCoversDomain = (domain, certificateDomain) =>
+  equals(certificateDomain, domain) ||
+  equals(certificateDomain, `*.${domain.slice(domain.indexOf('.') + 1)}`)
+
+/**
+ * List the issued and pending certificates
+ * @param {Object} acm
+ * @returns {Array} - certificate summaries
+ */
+const listCertificates = async (acm) => {
+  let certificates = []
+  let nextToken
+  do {
+    const params = { CertificateStatuses: ['ISSUED', 'PENDING_VALIDATION'] }
+    const response = await acm
+      .listCertificates(isNil(nextToken) ? params : merge(params, { NextToken: nextToken }))
+      .promise()
+    certificates = concat(certificates, response.CertificateSummaryList)
+    nextToken = response.NextToken
+  } while (not(isNil(nextToken)))
+  return certificates
+}
+
+/**
+ * Validate a requested certificate with a DNS record and wait until it's issued
+ * @param {Object} clients - acm and route53
+ * @param {String} certificateArn
+ * @param {String} hostedZoneId
+ * @param {Function} debug
+ */
+const validateCertificate = async ({ acm, route53 }, certificateArn, hostedZoneId, debug) => {
+  let resourceRecord
+  let attempts = 0
+  while (isNil(resourceRecord)) {
+    const { Certificate } = await acm
+      .describeCertificate({ CertificateArn: certificateArn })
+      .promise()
+    const [validation] = Certificate.DomainValidationOptions || []
+    resourceRecord = validation && validation.ResourceRecord
+    attempts += 1
+    if (isNil(resourceRecord)) {
+      if (attempts >= maxAttempts) {
+        throw new Error(
+          `Validation record of certificate ${certificateArn} not available after ${maxAttempts} attempts, status ${Certificate.Status}`
+        )
+      }
+      await utils.sleep(2000)
+    }
+  }
+  debug(`Creating validation record ${resourceRecord.Name}`)
+  await route53
+    .changeResourceRecordSets({
+      HostedZoneId: hostedZoneId,
+      ChangeBatch: {
+        Changes: [
+          {
+            Action: 'UPSERT',
+            ResourceRecordSet: {
+              Name: resourceRecord.Name,
+              Type: resourceRecord.Type,
+              TTL: 300,
+              ResourceRecords: [{ Value: resourceRecord.Value }]
+            }
+          }
+        ]
+      }
+    })
+    .promise()
+  debug(`Waiting for certificate ${certificateArn} to be issued`)
+  await acm.waitFor('certificateValidated', { CertificateArn: certificateArn }).promise()
+}
+
+/**
+ * Get the certificate of the domain, the certificate is requested if not found
+ * @param {Object} clients - acm and route53
+ * @param {Object} config
+ * @param {String} hostedZoneId
+ * @param {Function} debug
+ * @returns {Object} - certificate arn and whether the certificate was requested by the component
+ */
+const getCertificate = async (clients, config, hostedZoneId, debug) => {
+  if (not(isNil(config.certificateArn))) {
+    return { certificateArn: config.certificateArn, certificateCreated: false }
+  }
+  const certificate = find(
+    ({ DomainName }) => certificateCoversDomain(config.domain, DomainName),
+    await listCertificates(clients.acm)
+  )
+  if (not(isNil(certificate))) {
+    return { certificateArn: certificate.CertificateArn, certificateCreated: false }
+  }
+  debug(`Requesting certificate for ${config.domain}`)
+  const { CertificateArn } = await clients.acm
+    .requestCertificate({ DomainName: config.domain, ValidationMethod: 'DNS' })
+    .promise()
+  await validateCertificate(clients, CertificateArn, hostedZoneId, debug)
+  return { certificateArn: CertificateArn, certificateCreated: true }
+}
+
+/**
+ * Get the deployed domain name
+ * @param {Object} appSync
+ * @param {String} domainName
+ * @returns {Object} - domain name configuration, undefined if not found
+ */
+const getDomainName = async (appSync, domainName) => {
+  try {
+    const { domainNameConfig } = await appSync.getDomainName({ domainName }).promise()
+    return domainNameConfig
+  } catch (error) {
+    if (not(equals(error.code, 'NotFoundException'))) {
+      throw error
+    }
+    return undefined
+  }
+}
+
+/**
+ * Get the API association of the domain name
+ * @param {Object} appSync
+ * @param {String} domainName
+ * @returns {Object} - API association, undefined if not found
+ */
+const getApiAssociation = async (appSync, domainName) => {
+  try {
+    const { apiAssociation } = await appSync.getApiAssociation({ domainName }).promise()
+    return apiAssociation
+  } catch (error) {
+    if (not(equals(error.code, 'NotFoundException'))) {
+      throw error
+    }
+    return undefined
+  }
+}
+
+/**
+ * Wait until the API association of the domain name is processed
+ * @param {Object} appSync
+ * @param {String} domainName
+ * @returns {Object} - API association, undefined if disassociated
+ */
+const waitForApiAssociation = async (appSync, domainName) => {
+  let apiAssociation = await getApiAssociation(appSync, domainName)
+  let attempts = 1
+  while (apiAssociation && equals(apiAssociation.associationStatus, 'PROCESSING')) {
+    if (attempts >= maxAttempts) {
+      throw new Error(
+        `Association of ${domainName} with API ${apiAssociation.apiId} not processed after ${maxAttempts} attempts, status ${apiAssociation.associationStatus}`
+      )
+    }
+    await utils.sleep(2000)
+    apiAssociation = await getApiAssociation(appSync, domainName)
+    attempts += 1
+  }
+  if (apiAssociation && equals(apiAssociation.associationStatus, 'FAILED')) {
+    throw new Error(
+      `Associating ${domainName} with API ${apiAssociation.apiId} failed: ${apiAssociation.deploymentDetail}`
+    )
+  }
+  return apiAssociation
+}
+
+/**
+ * Create or delete the alias record of the domain name
+ * @param {Object} route53
+ * @param {String} action - UPSERT or DELETE
+ * @param {String} hostedZoneId
+ * @param {Object} domainNameConfig
+ */
+const changeAliasRecord = (route53, action, hostedZoneId, domainNameConfig) =>
+  route53
+    .changeResourceRecordSets({
+      HostedZoneId: hostedZoneId,
+      ChangeBatch: {
+        Changes: [
+          {
+            Action: action,
+            ResourceRecordSet: {
+              Name: domainNameConfig.domainName,
+              Type: 'A',
+              AliasTarget: {
+                DNSName: domainNameConfig.appsyncDomainName,
+                HostedZoneId: domainNameConfig.hostedZoneId,
+                EvaluateTargetHealth: false
+              }
+            }
+          }
+        ]
+      }
+    })
+    .promise()
+
+/**
+ * Create AppSync custom domain name, associate it with the API and create the alias record
+ * @param {Object} clients - appSync, acm and route53
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ * @returns {Object} - deployed domain
+ */
+const createOrUpdateDomain = async (clients, config, state, debug) => {
+  const { appSync, route53 } = clients
+  const domainName = config.domain
+  const hostedZone = await getHostedZone(route53, domainName)
+  let domainNameConfig = await getDomainName(appSync, domainName)
+  let certificate = {
+    certificateArn: domainNameConfig && domainNameConfig.certificateArn,
+    certificateCreated: !!(state.domain && state.domain.certificateCreated)
+  }
+  if (isNil(domainNameConfig)) {
+    certificate = await getCertificate(clients, config, hostedZone.id, debug)
+    debug(`Creating domain name ${domainName}`)
+    const response = await appSync
+      .createDomainName({ domainName, certificateArn: certificate.certificateArn })
+      .promise()
+    // eslint-disable-next-line prefer-destructuring
+    domainNameConfig = response.domainNameConfig
+  }
+
+  const apiAssociation = await waitForApiAssociation(appSync, domainName)
+  if (isNil(apiAssociation) || not(equals(apiAssociation.apiId, config.apiId))) {
+    debug(`Associating domain name ${domainName} with API ${config.apiId}`)
+    await appSync.associateApi({ domainName, apiId: config.apiId }).promise()
+    await waitForApiAssociation(appSync, domainName)
+  }
+
+  debug(`Creating alias record ${domainName}`)
+  await changeAliasRecord(route53, 'UPSERT', hostedZone.id, domainNameConfig)
+
+  return {
+    mode: 'appsync',
+    domainName,
+    hostedZoneId: hostedZone.id,
+    certificateArn: certificate.certificateArn,
+    certificateCreated: certificate.certificateCreated,
+    url: `https://${domainName}/graphql`,
+    realtimeUrl: `wss://${domainName}/graphql/realtime`
+  }
+}
+
+/**
+ * Remove the alias record, the API association and the AppSync custom domain name, the
+ * certificate is deleted if it was requested by the component
+ * @param {Object} clients - appSync, acm and route53
+ * @param {Object} state
+ * @param {Function} debug
+ */
+const removeDomain = async ({ appSync, acm, route53 }, state, debug) => {
+  if (isNil(state.domain) || not(propEq('mode', 'appsync', state.domain))) {
+    return
+  }
+  const { domainName, hostedZoneId, certificateArn, certificateCreated } = state.domain
+  const domainNameConfig = await getDomainName(appSync, domainName)
+  if (not(isNil(domainNameConfig))) {
+    debug(`Removing alias record ${domainName}`)
+    try {
+      await changeAliasRecord(route53, 'DELETE', hostedZoneId, domainNameConfig)
+    } catch (error) {
+      if (not(equals(error.code, 'InvalidChangeBatch'))) {
+        throw error
+      }
+    }
+    if (not(isNil(await waitForApiAssociation(appSync, domainName)))) {
+      debug(`Disassociating domain name ${domainName}`)
+      await appSync.disassociateApi({ domainName }).promise()
+      await waitForApiAssociation(appSync, domainName)
+    }
+    debug(`Removing domain name ${domainName}`)
+    await appSync.deleteDomainName({ domainName }).promise()
+  }
+  if (certificateCreated) {
+    debug(`Removing certificate ${certificateArn}`)
+    try {
+      await acm.deleteCertificate({ CertificateArn: certificateArn }).promise()
+    } catch (error) {
+      if (not(equals(error.code, 'ResourceNotFoundException'))) {
+        throw error
+      }
+    }
+  }
+}
+
+module.exports = {
+  splitDomain,
+  createOrUpdateDomain,
+  removeDomain
+}
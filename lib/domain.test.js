@@ -0,0 +1,135 @@
+const { createOrUpdateDomain, splitDomain } = require('./domain')
+
+const respond = (calls, name, getResponse) => (params) => ({
+  promise: async () => {
+    calls.push([name, params])
+    return getResponse(params)
+  }
+})
+
+const notFound = () => {
+  const error = new Error('Not found')
+  error.code = 'NotFoundException'
+  throw error
+}
+
+const zone = (id, name, privateZone = false) => ({
+  Id: `/hostedzone/${id}`,
+  Name: name,
+  Config: { PrivateZone: privateZone }
+})
+
+// pages of hosted zones listed from a DNS name, the page is selected by the hosted zone id
+const createRoute53 = (calls, pagesByName) => ({
+  listHostedZonesByName: respond(
+    calls,
+    'listHostedZonesByName',
+    ({ DNSName, HostedZoneId }) =>
+      pagesByName[`${DNSName}${HostedZoneId ? `/${HostedZoneId}` : ''}`]
+  ),
+  changeResourceRecordSets: respond(calls, 'changeResourceRecordSets', () => ({}))
+})
+
+describe('splitDomain', () => {
+  it('uses the public zone when a private zone of the same name is listed first', async () => {
+    const calls = []
+    const route53 = createRoute53(calls, {
+      'dev.example.com': { HostedZones: [zone('other', 'other.dev.example.com.')] },
+      'example.com': {
+        HostedZones: [zone('private', 'example.com.', true)],
+        IsTruncated: true,
+        NextDNSName: 'example.com.',
+        NextHostedZoneId: 'public'
+      },
+      'example.com./public': {
+        HostedZones: [zone('public', 'example.com.'), zone('next', 'example.net.')]
+      }
+    })
+    expect(await splitDomain(route53, 'api.dev.example.com')).toEqual({
+      domain: 'example.com',
+      subdomain: 'api.dev'
+    })
+    expect(calls.map(([, params]) => params)).toEqual([
+      { DNSName: 'dev.example.com' },
+      { DNSName: 'example.com' },
+      { DNSName: 'example.com.', HostedZoneId: 'public' }
+    ])
+  })
+
+  it('stops listing at the zones of the next name', async () => {
+    const calls = []
+    const route53 = createRoute53(calls, {
+      'example.com': {
+        HostedZones: [zone('private', 'example.com.', true)],
+        IsTruncated: true,
+        NextDNSName: 'example.net.',
+        NextHostedZoneId: 'next'
+      }
+    })
+    await expect(splitDomain(route53, 'api.example.com')).rejects.toThrow(
+      'Hosted zone for domain api.example.com not found'
+    )
+    expect(calls).toHaveLength(1)
+  })
+})
+
+describe('createOrUpdateDomain', () => {
+  it('uses an existing certificate from a later page of certificates', async () => {
+    const calls = []
+    let associated = false
+    const appSync = {
+      getDomainName: respond(calls, 'getDomainName', notFound),
+      createDomainName: respond(calls, 'createDomainName', ({ domainName }) => ({
+        domainNameConfig: {
+          domainName,
+          appsyncDomainName: 'abc.appsync-api.us-east-1.amazonaws.com',
+          hostedZoneId: 'appsync-zone'
+        }
+      })),
+      getApiAssociation: respond(calls, 'getApiAssociation', () =>
+        associated ? { apiAssociation: { apiId: 'api', associationStatus: 'SUCCESS' } } : notFound()
+      ),
+      associateApi: respond(calls, 'associateApi', () => {
+        associated = true
+        return {}
+      })
+    }
+    const acm = {
+      listCertificates: respond(calls, 'listCertificates', ({ NextToken }) =>
+        NextToken
+          ? {
+              CertificateSummaryList: [
+                { DomainName: '*.example.com', CertificateArn: 'certificate' }
+              ]
+            }
+          : {
+              CertificateSummaryList: [{ DomainName: 'other.com', CertificateArn: 'other' }],
+              NextToken: 'page-2'
+            }
+      ),
+      requestCertificate: respond(calls, 'requestCertificate', () => ({}))
+    }
+    const route53 = createRoute53(calls, {
+      'example.com': { HostedZones: [zone('public', 'example.com.')] }
+    })
+
+    const domain = await createOrUpdateDomain(
+      { appSync, acm, route53 },
+      { apiId: 'api', domain: 'api.example.com' },
+      {},
+      () => {}
+    )
+    expect(domain).toEqual(
+      expect.objectContaining({
+        hostedZoneId: 'public',
+        certificateArn: 'certificate',
+        certificateCreated: false
+      })
+    )
+    expect(calls.map(([name]) => name)).not.toContain('requestCertificate')
+    expect(calls).toContainEqual([
+      'createDomainName',
+      { domainName: 'api.example.com', certificateArn: 'certificate' }
+    ])
+  })
+})
@@ -0,0 +1,229 @@
+const {
+  any,
+  concat,
+  difference,
+  equals,
+  filter,
+  find,
+  isEmpty,
+  isNil,
+  keys,
+  map,
+  merge,
+  not,
+  pipe,
+  pluck,
+  propEq,
+  reject,
+  uniq,
+  unnest
+} = require('ramda')
+
+const { defaultToAnArray, getChangedKeys } = require('.')
+const { getDataSourcesToDeploy } = require('./datasources')
+const { getFunctionsToDeploy } = require('./functions')
+const { listDeployed } = require('./inventory')
+const { getResolversToDeploy } = require('./resolvers')
+const { getLiveSchemaChecksum } = require('./schema')
+
+/**
+ * Format a drifted resource
+ * @param {String} resource - resource type
+ * @param {String} name
+ * @param {Array} fields - fields which differ, the resource is missing if undefined
+ * @returns {Object} - drifted resource
+ */
+const formatDrift = (resource, name, fields) =>
+  isNil(fields)
+    ? { resource, name, status: 'missing' }
+    : { resource, name, status: 'modified', fields }
+
+/**
+ * Get drift of data sources deployed by the component
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @returns {Array} - drifted data sources
+ */
+const getDataSourcesDrift = async (appSync, config, state) => {
+  const dataSources = filter(
+    ({ name }) => any(propEq('name', name), defaultToAnArray(state.dataSources)),
+    await getDataSourcesToDeploy(appSync, config)
+  )
+  return Promise.all(
+    map(
+      async (dataSource) => {
+        if (equals(dataSource.mode, 'create')) {
+          return formatDrift('dataSource', dataSource.name)
+        }
+        const { dataSource: deployedDataSource } = await appSync
+          .getDataSource({ apiId: config.apiId, name: dataSource.name })
+          .promise()
+        const fields = difference(uniq(concat(keys(dataSource), keys(deployedDataSource))), [
+          'dataSourceArn',
+          'apiId',
+          'description',
+          'mode'
+        ])
+        return formatDrift(
+          'dataSource',
+          dataSource.name,
+          getChangedKeys(fields, deployedDataSource, dataSource)
+        )
+      },
+      filter(({ mode }) => not(equals(mode, 'ignore')), dataSources)
+    )
+  )
+}
+
+/**
+ * Get drift of functions deployed by the component
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @returns {Array} - drifted functions
+ */
+const getFunctionsDrift = async (appSync, config, state) => {
+  const functions = filter(
+    ({ name }) => any(propEq('name', name), defaultToAnArray(state.functions)),
+    defaultToAnArray(config.functions)
+  )
+  return Promise.all(
+    map(
+      async (func) => {
+        if (equals(func.mode, 'create')) {
+          return formatDrift('function', func.name)
+        }
+        const { functionConfiguration } = await appSync
+          .getFunction({ apiId: config.apiId, functionId: func.functionId })
+          .promise()
+        return formatDrift(
+          'function',
+          func.name,
+          getChangedKeys(
+            ['dataSourceName', 'requestMappingTemplate', 'responseMappingTemplate', 'syncConfig'],
+            functionConfiguration,
+            func
+          )
+        )
+      },
+      filter(({ mode }) => not(equals(mode, 'ignore')), functions)
+    )
+  )
+}
+
+/**
+ * Get drift of resolvers deployed by the component
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @returns {Array} - drifted resolvers
+ */
+const getResolversDrift = async (appSync, config, state) => {
+  const resolvers = filter(
+    ({ type, field }) =>
+      any(
+        (stateResolver) => equals(stateResolver, { type, field }),
+        defaultToAnArray(state.mappingTemplates)
+      ),
+    await getResolversToDeploy(appSync, config)
+  )
+  return Promise.all(
+    map(
+      async (resolver) => {
+        const name = `${resolver.type}.${resolver.field}`
+        if (equals(resolver.mode, 'create')) {
+          return formatDrift('resolver', name)
+        }
+        const { resolver: deployedResolver } = await appSync
+          .getResolver({ apiId: config.apiId, typeName: resolver.type, fieldName: resolver.field })
+          .promise()
+        return formatDrift(
+          'resolver',
+          name,
+          getChangedKeys(
+            concat(
+              [
+                'kind',
+                'requestMappingTemplate',
+                'responseMappingTemplate',
+                'cachingConfig',
+                'syncConfig'
+              ],
+              equals(resolver.kind, 'PIPELINE') ? ['pipelineConfig'] : ['dataSource']
+            ),
+            { ...deployedResolver, dataSource: deployedResolver.dataSourceName },
+            resolver
+          )
+        )
+      },
+      filter(({ mode }) => not(equals(mode, 'ignore')), resolvers)
+    )
+  )
+}
+
+/**
+ * Get API keys of the component which were removed from the API
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @returns {Array} - missing API keys
+ */
+const getApiKeysDrift = async (appSync, config, state) => {
+  const deployedIds = pluck('id', await listDeployed(appSync, config, 'apiKeys'))
+  return map(
+    ({ name }) => formatDrift('apiKey', name),
+    filter(({ id }) => not(find(equals(id), deployedIds)), defaultToAnArray(state.apiKeys))
+  )
+}
+
+/**
+ * Get drift of the live schema, the schema is compared with the schema introspected after the
+ * last deployment
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @returns {Array} - drifted schema
+ */
+const getSchemaDrift = async (appSync, config, state) => {
+  if (isNil(state.liveSchemaChecksum)) {
+    return []
+  }
+  const liveSchemaChecksum = await getLiveSchemaChecksum(appSync, config)
+  if (equals(liveSchemaChecksum, state.liveSchemaChecksum)) {
+    return []
+  }
+  return [formatDrift('schema', 'schema', isNil(liveSchemaChecksum) ? undefined : ['definition'])]
+}
+
+/**
+ * Compare the resources deployed by the component with the live API
+ * @param {Object} appSync
+ * @param {Object} inputs
+ * @param {Object} state
+ * @returns {Object} - drift report
+ */
+const getDrift = async (appSync, inputs, state) => {
+  if (isNil(inputs.apiId)) {
+    return { drifted: false, resources: [] }
+  }
+  // resolvers of pipelines need the ids of the deployed functions
+  const config = merge(inputs, { functions: await getFunctionsToDeploy(appSync, inputs) })
+  const resources = pipe(
+    unnest,
+    reject(({ status, fields }) => equals(status, 'modified') && isEmpty(fields))
+  )(
+    await Promise.all([
+      getDataSourcesDrift(appSync, config, state),
+      getFunctionsDrift(appSync, config, state),
+      getResolversDrift(appSync, config, state),
+      getApiKeysDrift(appSync, config, state),
+      getSchemaDrift(appSync, config, state)
+    ])
+  )
+  return { drifted: not(isEmpty(resources)), resources }
+}
+
+module.exports = {
+  getDrift
+}
@@ -0,0 +1,169 @@
+const { getDrift } = require('./drift')
+
+const lambdaArn = 'arn:aws:lambda:us-east-1:123456789012:function:posts'
+const serviceRoleArn = 'arn:aws:iam::123456789012:role/service'
+
+const deployedResolver = (fieldName, properties) => ({
+  typeName: 'Query',
+  fieldName,
+  kind: 'UNIT',
+  requestMappingTemplate: '{}',
+  responseMappingTemplate: '{}',
+  ...properties
+})
+
+const deployedLambdaDataSource = (functionArn) => ({
+  name: 'lambda',
+  type: 'AWS_LAMBDA',
+  serviceRoleArn,
+  description: null,
+  lambdaConfig: { lambdaFunctionArn: functionArn }
+})
+
+// the inventory is fetched when deploying, the get calls fetch the live resources
+const createAppSync = (calls, live) => {
+  const respond = (name, getResponse) => (params) => ({
+    promise: async () => {
+      calls.push(name)
+      return getResponse(params)
+    }
+  })
+  return {
+    getDataSource: respond('getDataSource', ({ name }) => ({ dataSource: live.dataSources[name] })),
+    getFunction: respond('getFunction', ({ functionId }) => ({
+      functionConfiguration: live.functions[functionId]
+    })),
+    getResolver: respond('getResolver', ({ fieldName }) => ({
+      resolver: live.resolvers[fieldName]
+    })),
+    getIntrospectionSchema: respond('getIntrospectionSchema', () => ({
+      schema: Buffer.from(live.schema)
+    }))
+  }
+}
+
+const createConfig = (inventory) => ({
+  apiId: 'api',
+  region: 'us-east-1',
+  dataSources: [
+    { type: 'AWS_LAMBDA', name: 'lambda', serviceRoleArn, config: { lambdaFunctionArn: lambdaArn } }
+  ],
+  functions: [
+    { name: 'auth', dataSource: 'lambda', request: '{}', response: '{}' },
+    { name: 'audit', dataSource: 'lambda', request: '{}', response: '{}' }
+  ],
+  mappingTemplates: [
+    { type: 'Query', field: 'getPost', dataSource: 'lambda', request: '{}', response: '{}' },
+    { type: 'Query', field: 'listPosts', kind: 'PIPELINE', functions: ['auth'] }
+  ],
+  inventory: {
+    dataSources: [deployedLambdaDataSource(lambdaArn)],
+    functions: [
+      {
+        name: 'auth',
+        functionId: 'fn-auth',
+        dataSourceName: 'lambda',
+        requestMappingTemplate: '{}',
+        responseMappingTemplate: '{}'
+      }
+    ],
+    apiKeys: [{ id: 'key-1' }],
+    resolvers: [
+      deployedResolver('getPost', { dataSourceName: 'lambda' }),
+      deployedResolver('listPosts', {
+        kind: 'PIPELINE',
+        pipelineConfig: { functions: ['fn-auth'] },
+        responseMappingTemplate: '$util.toJson($context.result)'
+      })
+    ],
+    resolverTypes: ['Query'],
+    ...inventory
+  }
+})
+
+const state = {
+  dataSources: [{ name: 'lambda', type: 'AWS_LAMBDA' }],
+  functions: [
+    { name: 'auth', dataSource: 'lambda', functionId: 'fn-auth' },
+    { name: 'audit', dataSource: 'lambda', functionId: 'fn-audit' }
+  ],
+  mappingTemplates: [
+    { type: 'Query', field: 'getPost' },
+    { type: 'Query', field: 'listPosts' }
+  ],
+  apiKeys: [
+    { name: 'default', id: 'key-1' },
+    { name: 'removed', id: 'key-2' }
+  ],
+  liveSchemaChecksum: 'checksum of the deployed schema'
+}
+
+describe('getDrift', () => {
+  it('reports modified fields of live resources and missing resources', async () => {
+    const calls = []
+    const live = {
+      dataSources: { lambda: deployedLambdaDataSource(`${lambdaArn}:2`) },
+      resolvers: {
+        getPost: deployedResolver('getPost', {
+          dataSourceName: 'lambda',
+          requestMappingTemplate: '{ "edited": true }'
+        })
+      },
+      schema: 'type Query { getPost: String }'
+    }
+    const config = createConfig({
+      dataSources: [deployedLambdaDataSource(`${lambdaArn}:2`)],
+      resolvers: [
+        deployedResolver('getPost', {
+          dataSourceName: 'lambda',
+          requestMappingTemplate: '{ "edited": true }'
+        }),
+        deployedResolver('listPosts', {
+          kind: 'PIPELINE',
+          pipelineConfig: { functions: ['fn-auth'] },
+          responseMappingTemplate: '$util.toJson($context.result)'
+        })
+      ]
+    })
+
+    expect(await getDrift(createAppSync(calls, live), config, state)).toEqual({
+      drifted: true,
+      resources: [
+        { resource: 'dataSource', name: 'lambda', status: 'modified', fields: ['lambdaConfig'] },
+        { resource: 'function', name: 'audit', status: 'missing' },
+        {
+          resource: 'resolver',
+          name: 'Query.getPost',
+          status: 'modified',
+          fields: ['requestMappingTemplate']
+        },
+        { resource: 'apiKey', name: 'removed', status: 'missing' },
+        { resource: 'schema', name: 'schema', status: 'modified', fields: ['definition'] }
+      ]
+    })
+    // unchanged resources are not fetched
+    expect(calls).not.toContain('getFunction')
+  })
+
+  it('reports no drift when the live resources match the inputs', async () => {
+    const config = createConfig()
+    config.functions = [config.functions[0]]
+    const inSync = {
+      ...state,
+      functions: [state.functions[0]],
+      apiKeys: [state.apiKeys[0]],
+      liveSchemaChecksum: undefined
+    }
+    expect(await getDrift(createAppSync([], {}), config, inSync)).toEqual({
+      drifted: false,
+      resources: []
+    })
+  })
+
+  it('reports no drift without a deployed API', async () => {
+    expect(await getDrift({}, { dataSources: [] }, state)).toEqual({
+      drifted: false,
+      resources: []
+    })
+  })
+})
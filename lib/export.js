@@ -0,0 +1,171 @@
+const path = require('path')
+const { utils } = require('@serverless/core')
+const {
+  chain,
+  equals,
+  find,
+  isEmpty,
+  isNil,
+  map,
+  merge,
+  not,
+  pick,
+  propEq,
+  reject
+} = require('ramda')
+
+const { listAll } = require('.')
+const { parseDataSource } = require('./datasources')
+
+/**
+ * Parse a deployed sync config to sync inputs
+ * @param {Object} syncConfig
+ * @returns {Object} - sync inputs, undefined if not defined
+ */
+const parseSyncConfig = (syncConfig) =>
+  isNil(syncConfig)
+    ? undefined
+    : reject(isNil, {
+        conflictDetection: syncConfig.conflictDetection,
+        conflictHandler: syncConfig.conflictHandler,
+        lambdaConflictHandlerArn:
+          syncConfig.lambdaConflictHandlerConfig &&
+          syncConfig.lambdaConflictHandlerConfig.lambdaConflictHandlerArn
+      })
+
+/**
+ * Write the mapping templates of a resolver or a function to .vtl files
+ * @param {String} directory - export directory
+ * @param {String} filePrefix - path of the files relative to the export directory
+ * @param {Object} item - deployed resolver or function
+ * @returns {Object} - request and response inputs
+ */
+const writeMappingTemplates = async (directory, filePrefix, item) => {
+  const result = {}
+  if (not(isNil(item.requestMappingTemplate))) {
+    result.request = `${filePrefix}.request.vtl`
+    await utils.writeFile(path.join(directory, result.request), item.requestMappingTemplate)
+  }
+  if (not(isNil(item.responseMappingTemplate))) {
+    result.response = `${filePrefix}.response.vtl`
+    await utils.writeFile(path.join(directory, result.response), item.responseMappingTemplate)
+  }
+  return result
+}
+
+/**
+ * Export the schema, data sources, functions and resolvers of an API to component inputs, the
+ * schema and the mapping templates are written to files in the export directory
+ * @param {Object} appSync
+ * @param {Object} config - apiId, region and directory
+ * @param {Function} debug
+ * @returns {Object} - component inputs
+ */
+const exportApi = async (appSync, config, debug) => {
+  const directory = path.resolve(config.directory || '.')
+  const { apiId } = config
+  debug(`Exporting API ${apiId} to ${directory}`)
+  const { graphqlApi } = await appSync.getGraphqlApi({ apiId }).promise()
+
+  const { schema } = await appSync.getIntrospectionSchema({ apiId, format: 'SDL' }).promise()
+  await utils.writeFile(path.join(directory, 'schema.graphql'), schema.toString())
+
+  const dataSources = map(
+    (dataSource) => parseDataSource(dataSource, config.region),
+    await listAll(appSync, 'listDataSources', { apiId }, 'dataSources')
+  )
+
+  const deployedFunctions = await listAll(appSync, 'listFunctions', { apiId }, 'functions')
+  const functions = await Promise.all(
+    map(async (func) => {
+      debug(`Exporting function ${func.name}`)
+      return reject(
+        isNil,
+        merge(
+          {
+            name: func.name,
+            dataSource: func.dataSourceName,
+            description: func.description || undefined,
+            sync: parseSyncConfig(func.syncConfig)
+          },
+          await writeMappingTemplates(directory, `functions/${func.name}`, func)
+        )
+      )
+    }, deployedFunctions)
+  )
+
+  const types = await listAll(appSync, 'listTypes', { apiId, format: 'SDL' }, 'types')
+  const resolvers = chain(
+    (typeResolvers) => typeResolvers,
+    await Promise.all(
+      map(
+        ({ name }) => listAll(appSync, 'listResolvers', { apiId, typeName: name }, 'resolvers'),
+        types
+      )
+    )
+  )
+  const mappingTemplates = await Promise.all(
+    map(async (resolver) => {
+      debug(`Exporting resolver ${resolver.typeName}.${resolver.fieldName}`)
+      const isPipeline = equals(resolver.kind, 'PIPELINE')
+      return reject(
+        isNil,
+        merge(
+          {
+            type: resolver.typeName,
+            field: resolver.fieldName,
+            kind: isPipeline ? 'PIPELINE' : undefined,
+            dataSource: isPipeline ? undefined : resolver.dataSourceName,
+            functions: isPipeline
+              ? map(
+                  (functionId) => find(propEq('functionId', functionId), deployedFunctions).name,
+                  resolver.pipelineConfig.functions
+                )
+              : undefined,
+            caching: isNil(resolver.cachingConfig)
+              ? undefined
+              : { ttl: resolver.cachingConfig.ttl, keys: resolver.cachingConfig.cachingKeys },
+            sync: parseSyncConfig(resolver.syncConfig)
+          },
+          await writeMappingTemplates(
+            directory,
+            `mapping-templates/${resolver.typeName}.${resolver.fieldName}`,
+            resolver
+          )
+        )
+      )
+    }, resolvers)
+  )
+
+  const inputs = reject(
+    (value) => isNil(value) || (Array.isArray(value) && isEmpty(value)),
+    merge(
+      pick(
+        [
+          'name',
+          'authenticationType',
+          'userPoolConfig',
+          'openIDConnectConfig',
+          'lambdaAuthorizerConfig',
+          'additionalAuthenticationProviders',
+          'logConfig',
+          'xrayEnabled'
+        ],
+        graphqlApi
+      ),
+      {
+        region: config.region,
+        schema: 'schema.graphql',
+        dataSources,
+        functions,
+        mappingTemplates
+      }
+    )
+  )
+  await utils.writeFile(path.join(directory, 'inputs.yml'), inputs)
+  return inputs
+}
+
+module.exports = {
+  exportApi
+}
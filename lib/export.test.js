@@ -0,0 +1,173 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { exportApi } = require('./export')
+
+const lambdaArn = 'arn:aws:lambda:us-east-1:123456789012:function:posts'
+
+const createAppSync = (responses) =>
+  new Proxy(
+    {},
+    {
+      get: (target, name) => (params) => ({ promise: async () => responses[name](params) })
+    }
+  )
+
+const appSync = createAppSync({
+  getGraphqlApi: () => ({
+    graphqlApi: {
+      apiId: 'api',
+      name: 'posts',
+      authenticationType: 'API_KEY',
+      xrayEnabled: false,
+      uris: { GRAPHQL: 'https://example.com/graphql' }
+    }
+  }),
+  getIntrospectionSchema: () => ({ schema: Buffer.from('type Query { getPost: String }') }),
+  listDataSources: () => ({
+    dataSources: [
+      {
+        name: 'posts',
+        type: 'AWS_LAMBDA',
+        serviceRoleArn: 'arn:aws:iam::123456789012:role/service',
+        lambdaConfig: { lambdaFunctionArn: lambdaArn }
+      },
+      {
+        name: 'table',
+        type: 'AMAZON_DYNAMODB',
+        dynamodbConfig: { tableName: 'posts', awsRegion: 'eu-west-1', useCallerCredentials: false }
+      }
+    ]
+  }),
+  // functions are listed in two pages
+  listFunctions: ({ nextToken }) =>
+    nextToken
+      ? {
+          functions: [
+            {
+              functionId: 'fn-get',
+              name: 'get',
+              dataSourceName: 'table',
+              requestMappingTemplate: '{ "operation": "GetItem" }',
+              responseMappingTemplate: '$util.toJson($ctx.result)'
+            }
+          ]
+        }
+      : {
+          functions: [
+            {
+              functionId: 'fn-auth',
+              name: 'auth',
+              dataSourceName: 'posts',
+              description: '',
+              requestMappingTemplate: '{}'
+            }
+          ],
+          nextToken: 'page-2'
+        },
+  listTypes: () => ({ types: [{ name: 'Query' }] }),
+  listResolvers: () => ({
+    resolvers: [
+      {
+        typeName: 'Query',
+        fieldName: 'getPost',
+        kind: 'PIPELINE',
+        pipelineConfig: { functions: ['fn-auth', 'fn-get'] },
+        requestMappingTemplate: '{}',
+        responseMappingTemplate: '$util.toJson($ctx.result)',
+        cachingConfig: { ttl: 60, cachingKeys: ['$context.arguments.id'] }
+      },
+      {
+        typeName: 'Query',
+        fieldName: 'listPosts',
+        kind: 'UNIT',
+        dataSourceName: 'posts',
+        syncConfig: {
+          conflictDetection: 'VERSION',
+          conflictHandler: 'LAMBDA',
+          lambdaConflictHandlerConfig: { lambdaConflictHandlerArn: lambdaArn }
+        }
+      }
+    ]
+  })
+})
+
+describe('exportApi', () => {
+  let directory
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true })
+  })
+
+  it('exports the API to inputs with pipeline functions by name', async () => {
+    const inputs = await exportApi(
+      appSync,
+      { apiId: 'api', region: 'us-east-1', directory },
+      () => {}
+    )
+    expect(inputs).toEqual({
+      name: 'posts',
+      authenticationType: 'API_KEY',
+      xrayEnabled: false,
+      region: 'us-east-1',
+      schema: 'schema.graphql',
+      dataSources: [
+        {
+          name: 'posts',
+          type: 'AWS_LAMBDA',
+          serviceRoleArn: 'arn:aws:iam::123456789012:role/service',
+          config: { lambdaFunctionArn: lambdaArn }
+        },
+        {
+          name: 'table',
+          type: 'AMAZON_DYNAMODB',
+          config: { tableName: 'posts', region: 'eu-west-1' }
+        }
+      ],
+      functions: [
+        { name: 'auth', dataSource: 'posts', request: 'functions/auth.request.vtl' },
+        {
+          name: 'get',
+          dataSource: 'table',
+          request: 'functions/get.request.vtl',
+          response: 'functions/get.response.vtl'
+        }
+      ],
+      mappingTemplates: [
+        {
+          type: 'Query',
+          field: 'getPost',
+          kind: 'PIPELINE',
+          functions: ['auth', 'get'],
+          caching: { ttl: 60, keys: ['$context.arguments.id'] },
+          request: 'mapping-templates/Query.getPost.request.vtl',
+          response: 'mapping-templates/Query.getPost.response.vtl'
+        },
+        {
+          type: 'Query',
+          field: 'listPosts',
+          dataSource: 'posts',
+          sync: {
+            conflictDetection: 'VERSION',
+            conflictHandler: 'LAMBDA',
+            lambdaConflictHandlerArn: lambdaArn
+          }
+        }
+      ]
+    })
+  })
+
+  it('writes the schema, the mapping templates and the inputs to the directory', async () => {
+    await exportApi(appSync, { apiId: 'api', region: 'us-east-1', directory }, () => {})
+    const read = (file) => fs.readFileSync(path.join(directory, file), 'utf8')
+    expect(read('schema.graphql')).toBe('type Query { getPost: String }')
+    expect(read('functions/get.request.vtl')).toBe('{ "operation": "GetItem" }')
+    expect(read('mapping-templates/Query.getPost.response.vtl')).toBe('$util.toJson($ctx.result)')
+    expect(read('inputs.yml')).toContain('schema: schema.graphql')
+  })
+})
@@ -1,79 +1,169 @@
-const { difference, equals, find, isNil, map, merge, not, pick } = require('ramda')
+const {
+  any,
+  equals,
+  filter,
+  find,
+  head,
+  includes,
+  isNil,
+  map,
+  merge,
+  not,
+  propEq,
+  reject
+} = require('ramda')
 
-const { checkForDuplicates, defaultToAnArray, equalsByKeys, listAll, readIfFile } = require('.')
+const {
+  checkForDuplicates,
+  defaultToAnArray,
+  equalsByKeys,
+  formatSyncConfig,
+  readMappingTemplate
+} = require('.')
+const { listDeployed } = require('./inventory')
 
 /**
- * Create or update functions
+ * Find the deployed function of a function, functions were identified by name and data source
+ * before so there can be several functions of the same name. The function of the same data
+ * source is preferred
+ * @param {Object} func
+ * @param {Array} deployedFunctions
+ * @return {Object} - deployed function, undefined if not found
+ */
+const findDeployedFunction = (func, deployedFunctions) => {
+  const sameName = filter(propEq('name', func.name), deployedFunctions)
+  return find(propEq('dataSourceName', func.dataSourceName), sameName) || head(sameName)
+}
+
+/**
+ * Get functions with the deploy mode (create, update or ignore), functions are identified by
+ * name so a function moved to another data source is updated and keeps its id
  * @param {Object} appSync
  * @param {Object} config
- * @param {Function} debug
- * @return {Object} - deployed functions
+ * @return {Array} - functions to deploy
  */
-const createOrUpdateFunctions = async (appSync, config, debug) => {
-  checkForDuplicates(['name', 'dataSource'], defaultToAnArray(config.functions))
-  const deployedFunctions = await listAll(
-    appSync,
-    'listFunctions',
-    { apiId: config.apiId },
-    'functions'
-  )
+const getFunctionsToDeploy = async (appSync, config) => {
+  checkForDuplicates(['name'], defaultToAnArray(config.functions))
+  const deployedFunctions = await listDeployed(appSync, config, 'functions')
 
   const functionsWithTemplates = await Promise.all(
     map(async (func) => {
-      const requestMappingTemplate = await readIfFile(func.request)
-      const responseMappingTemplate = await readIfFile(func.response)
+      const requestMappingTemplate = await readMappingTemplate(func.request, config, func)
+      const responseMappingTemplate = await readMappingTemplate(func.response, config, func)
       return merge(func, {
         requestMappingTemplate,
         responseMappingTemplate,
-        dataSourceName: func.dataSource
+        dataSourceName: func.dataSource,
+        syncConfig: formatSyncConfig(func.sync)
       })
     }, defaultToAnArray(config.functions))
   )
 
-  const functionsToDeploy = map((func) => {
-    const deployedFunction = find(
-      ({ name, dataSourceName }) =>
-        equals(name, func.name) && equals(dataSourceName, func.dataSourceName),
-      deployedFunctions
-    )
+  return map((func) => {
+    const deployedFunction = findDeployedFunction(func, deployedFunctions)
     const functionEquals = isNil(deployedFunction)
       ? false
       : equalsByKeys(
           ['dataSourceName', 'name', 'responseMappingTemplate', 'requestMappingTemplate'],
           deployedFunction,
           func
-        )
+        ) && equals(deployedFunction.syncConfig, func.syncConfig)
     const mode = not(functionEquals) ? (not(deployedFunction) ? 'create' : 'update') : 'ignore'
     return merge(func, {
       mode,
       functionId: deployedFunction ? deployedFunction.functionId : undefined
     })
   }, functionsWithTemplates)
+}
 
-  return Promise.all(
-    map(async (func) => {
-      const params = {
+/**
+ * Create or update a function, replaced functions are created after the deployed function has
+ * been removed
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} func - function to deploy
+ * @param {Function} debug
+ * @return {Object} - deployed function
+ */
+const createOrUpdateFunction = async (appSync, config, func, debug) => {
+  const params = {
+    apiId: config.apiId,
+    name: func.name,
+    requestMappingTemplate: func.requestMappingTemplate,
+    responseMappingTemplate: func.responseMappingTemplate,
+    functionVersion: func.functionVersion || '2018-05-29',
+    dataSourceName: func.dataSource,
+    description: func.description,
+    syncConfig: func.syncConfig
+  }
+  if (includes(func.mode, ['create', 'replace'])) {
+    debug(`Creating function ${func.name}`)
+    const { functionConfiguration } = await appSync.createFunction(params).promise()
+    return merge(func, { functionId: functionConfiguration.functionId })
+  } else if (equals(func.mode, 'update')) {
+    debug(`Updating function ${func.name}`)
+    await appSync.updateFunction(merge(params, { functionId: func.functionId })).promise()
+  }
+  return func
+}
+
+/**
+ * Remove a function
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} func - name and id of the function
+ * @param {Function} debug
+ */
+const removeFunction = async (appSync, config, func, debug) => {
+  debug(`Removing function ${func.name}`)
+  try {
+    await appSync
+      .deleteFunction({
         apiId: config.apiId,
-        name: func.name,
-        requestMappingTemplate: func.requestMappingTemplate,
-        responseMappingTemplate: func.responseMappingTemplate,
-        functionVersion: func.functionVersion || '2018-05-29',
-        dataSourceName: func.dataSource,
-        description: func.description
-      }
-      if (equals(func.mode, 'create')) {
-        debug(`Creating function ${func.name}`)
-        const { functionConfiguration } = await appSync.createFunction(params).promise()
-        func.functionId = functionConfiguration.functionId
-      } else if (equals(func.mode, 'update')) {
-        debug(`Updating function ${func.name}`)
-        await appSync.updateFunction(merge(params, { functionId: func.functionId })).promise()
-      }
-      return Promise.resolve(func)
-    }, functionsToDeploy)
-  )
+        functionId: func.functionId
+      })
+      .promise()
+  } catch (error) {
+    if (not(equals(error.code, 'NotFoundException'))) {
+      throw error
+    }
+    debug(`Function ${func.name} already removed`)
+  }
 }
 
+/**
+ * Get functions which are in the state but not in the config anymore
+ * @param {Object} config
+ * @param {Object} state
+ * @return {Array} - obsolete functions
+ */
+const getObsoleteFunctions = (config, state) =>
+  reject(
+    ({ name }) => any(propEq('name', name), defaultToAnArray(config.functions)),
+    defaultToAnArray(state.functions)
+  )
+
+/**
+ * Get deployed functions which have the same name as a function to deploy but are not deployed
+ * as that function, they were created for other data sources when functions were identified by
+ * name and data source and are removed
+ * @param {Array} functions - functions to deploy
+ * @param {Array} deployedFunctions
+ * @return {Array} - duplicate functions
+ */
+const getDuplicateFunctions = (functions, deployedFunctions) =>
+  map(
+    ({ name, dataSourceName, functionId }) => ({ name, dataSource: dataSourceName, functionId }),
+    filter(
+      ({ name, functionId }) =>
+        any(
+          (func) => equals(func.name, name) && not(equals(func.functionId, functionId)),
+          functions
+        ),
+      deployedFunctions
+    )
+  )
+
 /**
  * Remove obsolete functions
  * @param {Object} appSync
@@ -82,35 +172,15 @@ const createOrUpdateFunctions = async (appSync, config, debug) => {
  * @param {Function} debug
  */
 const removeObsoleteFunctions = async (appSync, config, state, debug) => {
-  const obsoleteFunctions = difference(
-    map(pick(['name', 'dataSource']), defaultToAnArray(state.functions)),
-    map(pick(['name', 'dataSource']), defaultToAnArray(config.functions))
-  )
-  await Promise.all(
-    map(async (func) => {
-      const { functionId } = find(
-        ({ name, dataSource }) => equals(name, func.name) && equals(dataSource, func.dataSource),
-        state.functions
-      )
-      debug(`Removing function ${func.name}`)
-      try {
-        await appSync
-          .deleteFunction({
-            apiId: config.apiId,
-            functionId
-          })
-          .promise()
-      } catch (error) {
-        if (not(equals(error.code, 'NotFoundException'))) {
-          throw error
-        }
-        debug(`Function ${func.name} already removed`)
-      }
-    }, obsoleteFunctions)
-  )
+  const obsoleteFunctions = getObsoleteFunctions(config, state)
+  await Promise.all(map((func) => removeFunction(appSync, config, func, debug), obsoleteFunctions))
 }
 
 module.exports = {
-  createOrUpdateFunctions,
+  getFunctionsToDeploy,
+  createOrUpdateFunction,
+  removeFunction,
+  getObsoleteFunctions,
+  getDuplicateFunctions,
   removeObsoleteFunctions
 }
@@ -10,6 +10,7 @@ const {
   join,
   keys,
   length,
+  merge,
   not,
   pick,
   pickBy,
@@ -18,10 +19,14 @@ const {
 const AWS = require('aws-sdk')
 const crypto = require('crypto')
 const fs = require('fs')
+const path = require('path')
 const { utils } = require('@serverless/core')
 
 const defaultToAnArray = defaultTo([])
 
+// e.g. https://search-posts-abc.us-gov-west-1.es.amazonaws.com, .cn in the China regions
+const elasticsearchEndpointPattern = /^https:\/\/([a-z0-9-]+\.[a-z]{2}(?:-[a-z]+)+-\d\.es\.amazonaws\.com(?:\.cn)?)$/
+
 /**
  * Returns a subset of a object excluding defined keys
  * @param {array} keys
@@ -37,6 +42,16 @@ const equalsByKeys = (keysToCheck, objA, objB) =>
 const equalsByKeysExcluded = (keysToCheck, objA, objB) =>
   equals(pickExcluded(keysToCheck, objA), pickExcluded(keysToCheck, objB))
 
+/**
+ * Get keys which have different values in the objects
+ * @param {Array} keysToCheck
+ * @param {Object} objA
+ * @param {Object} objB
+ * @returns {Array} - changed keys
+ */
+const getChangedKeys = (keysToCheck, objA, objB) =>
+  filter((key) => not(equals(objA[key], objB[key])), keysToCheck)
+
 /**
  * List all
  * @param {Object} service
@@ -53,7 +68,7 @@ const listAll = async (service, command, params, key) => {
     if (not(isNil(nextToken))) {
       currentParams.nextToken = nextToken
     }
-    const response = await service[command](params).promise()
+    const response = await service[command](currentParams).promise()
     result = concat(result, response[key])
     // eslint-disable-next-line prefer-destructuring
     nextToken = response.nextToken
@@ -71,6 +86,21 @@ const getAccountId = async () => {
   return res.Account
 }
 
+/**
+ * Get the partition of a region for building ARNs
+ * @param {String} region
+ * @returns {String} - partition, aws-us-gov for GovCloud and aws-cn for the China regions
+ */
+const getPartition = (region) => {
+  if (/^us-gov-/.test(region)) {
+    return 'aws-us-gov'
+  }
+  if (/^cn-/.test(region)) {
+    return 'aws-cn'
+  }
+  return 'aws'
+}
+
 /**
  * Create a checksum
  * @param {String} data
@@ -97,6 +127,15 @@ const isFile = async (filePath) =>
     })
   })
 
+/**
+ * Check if the path is a directory
+ * @param {*} directoryPath
+ */
+const isDirectory = async (directoryPath) =>
+  new Promise((resolve) => {
+    fs.stat(directoryPath, (error, stats) => resolve(not(error) && stats.isDirectory()))
+  })
+
 const getSubSet = (subSetKeys, source) =>
   not(isEmpty(subSetKeys)) ? pick(subSetKeys, source) : clone(source)
 
@@ -162,16 +201,106 @@ const readIfFile = async (data) => {
   return result
 }
 
+/**
+ * Replace #include("file.vtl") directives with the content of the files, paths are relative to
+ * the including file
+ * @param {String} template
+ * @param {String} directory - directory of the including file
+ * @param {Array} includedFiles - files being included, to detect circular includes
+ * @returns {String} - template with includes replaced
+ */
+const resolveIncludes = async (template, directory, includedFiles = []) => {
+  const includePattern = /#include\(\s*["']([^"']+)["']\s*\)/g
+  let result = template
+  let match
+  while ((match = includePattern.exec(template)) !== null) {
+    const filePath = path.resolve(directory, match[1])
+    if (includes(filePath, includedFiles)) {
+      throw new Error(`Circular include of ${filePath}`)
+    }
+    if (not(await isFile(filePath))) {
+      throw new Error(`Included file ${filePath} not found`)
+    }
+    const content = await resolveIncludes(
+      await utils.readFile(filePath),
+      path.dirname(filePath),
+      concat(includedFiles, [filePath])
+    )
+    result = result.replace(match[0], () => content)
+  }
+  return result
+}
+
+/**
+ * Replace ${name} placeholders of the substitutions, other placeholders are left as they are
+ * @param {String} template
+ * @param {Object} substitutions
+ * @returns {String} - template with substitutions replaced
+ */
+const substitute = (template, substitutions = {}) =>
+  template.replace(/\$\{([\w-]+)\}/g, (placeholder, name) =>
+    isNil(substitutions[name]) ? placeholder : String(substitutions[name])
+  )
+
+/**
+ * Read a mapping template from a file or an inline string, resolve includes and substitutions
+ * @param {String} template - file path or template
+ * @param {Object} config - substitutions of the inputs
+ * @param {Object} item - resolver or function, its substitutions override the inputs
+ * @returns {String} - rendered template, undefined if template is not defined
+ */
+const readMappingTemplate = async (template, config = {}, item = {}) => {
+  if (isNil(template)) {
+    return template
+  }
+  const isTemplateFile = await isFile(template)
+  const content = isTemplateFile ? await utils.readFile(template) : template
+  const withIncludes = await resolveIncludes(
+    content,
+    isTemplateFile ? path.dirname(path.resolve(template)) : process.cwd(),
+    isTemplateFile ? [path.resolve(template)] : []
+  )
+  return substitute(withIncludes, merge(config.substitutions, item.substitutions))
+}
+
+/**
+ * Format sync config of a resolver or a function
+ * @param {Object} sync
+ * @returns {Object} - sync config, undefined if sync is not defined
+ */
+const formatSyncConfig = (sync) => {
+  if (isNil(sync)) {
+    return undefined
+  }
+  const syncConfig = {
+    conflictDetection: sync.conflictDetection || 'VERSION',
+    conflictHandler: sync.conflictHandler || 'OPTIMISTIC_CONCURRENCY'
+  }
+  if (equals(syncConfig.conflictHandler, 'LAMBDA')) {
+    checkForRequired(['lambdaConflictHandlerArn'], sync)
+    syncConfig.lambdaConflictHandlerConfig = {
+      lambdaConflictHandlerArn: sync.lambdaConflictHandlerArn
+    }
+  }
+  return syncConfig
+}
+
 module.exports = {
   pickExcluded,
   equalsByKeys,
   equalsByKeysExcluded,
+  getChangedKeys,
   listAll,
   defaultToAnArray,
+  elasticsearchEndpointPattern,
   getAccountId,
+  getPartition,
   checksum,
   isFile,
+  isDirectory,
   checkForDuplicates,
   checkForRequired,
-  readIfFile
+  readIfFile,
+  readMappingTemplate,
+  formatSyncConfig
 }
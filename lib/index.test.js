@@ -0,0 +1,26 @@
+const { listAll } = require('.')
+
+describe('listAll', () => {
+  it('lists the items of all pages', async () => {
+    const calls = []
+    const appSync = {
+      listFunctions: (params) => ({
+        promise: async () => {
+          calls.push(params)
+          return params.nextToken
+            ? { functions: [{ name: 'get' }] }
+            : { functions: [{ name: 'auth' }, { name: 'audit' }], nextToken: 'page-2' }
+        }
+      })
+    }
+    const params = { apiId: 'api' }
+
+    expect(await listAll(appSync, 'listFunctions', params, 'functions')).toEqual([
+      { name: 'auth' },
+      { name: 'audit' },
+      { name: 'get' }
+    ])
+    expect(calls).toEqual([{ apiId: 'api' }, { apiId: 'api', nextToken: 'page-2' }])
+    expect(params).toEqual({ apiId: 'api' })
+  })
+})
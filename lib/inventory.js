@@ -0,0 +1,88 @@
+const { concat, filter, has, includes, isNil, map, propEq, uniq, unnest } = require('ramda')
+
+const { defaultToAnArray, listAll } = require('.')
+
+const listCommands = {
+  dataSources: 'listDataSources',
+  functions: 'listFunctions',
+  apiKeys: 'listApiKeys'
+}
+
+/**
+ * List deployed data sources, functions or API keys of the API, the inventory of the deployment
+ * is used if it has been fetched
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {String} key - dataSources, functions or apiKeys
+ * @returns {Array} - deployed items
+ */
+const listDeployed = async (appSync, config, key) => {
+  if (isNil(config.apiId)) {
+    return []
+  }
+  if (has(key, config.inventory || {})) {
+    return config.inventory[key]
+  }
+  return listAll(appSync, listCommands[key], { apiId: config.apiId }, key)
+}
+
+/**
+ * List deployed resolvers of the given types, each type is listed once
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Array} types - type names
+ * @returns {Array} - deployed resolvers
+ */
+const listDeployedResolvers = async (appSync, config, types) => {
+  if (isNil(config.apiId)) {
+    return []
+  }
+  const inventory = config.inventory || {}
+  return unnest(
+    await Promise.all(
+      map(
+        (typeName) =>
+          includes(typeName, defaultToAnArray(inventory.resolverTypes))
+            ? filter(propEq('typeName', typeName), inventory.resolvers)
+            : listAll(appSync, 'listResolvers', { apiId: config.apiId, typeName }, 'resolvers'),
+        uniq(types)
+      )
+    )
+  )
+}
+
+/**
+ * Fetch the data sources, functions, API keys and the resolvers of the types with mapping
+ * templates in the config or the state once, the inventory is set to the config and shared by
+ * the deployers
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ * @returns {Object} - inventory
+ */
+const getInventory = async (appSync, config, state, debug) => {
+  const resolverTypes = uniq(
+    map(
+      ({ type }) => type,
+      concat(defaultToAnArray(config.mappingTemplates), defaultToAnArray(state.mappingTemplates))
+    )
+  )
+  if (isNil(config.apiId)) {
+    return { dataSources: [], functions: [], apiKeys: [], resolvers: [], resolverTypes }
+  }
+  debug(`Fetching inventory of API ${config.apiId}`)
+  const [dataSources, functions, apiKeys, resolvers] = await Promise.all([
+    listDeployed(appSync, config, 'dataSources'),
+    listDeployed(appSync, config, 'functions'),
+    listDeployed(appSync, config, 'apiKeys'),
+    listDeployedResolvers(appSync, config, resolverTypes)
+  ])
+  return { dataSources, functions, apiKeys, resolvers, resolverTypes }
+}
+
+module.exports = {
+  getInventory,
+  listDeployed,
+  listDeployedResolvers
+}
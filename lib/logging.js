@@ -0,0 +1,120 @@
+const { equals, isNil, not } = require('ramda')
+
+const { getPartition } = require('.')
+
+/**
+ * Get the ARN of the managed policy which allows AppSync to push logs to CloudWatch
+ * @param {String} region
+ * @return {String} - policy ARN
+ */
+const getLogsPolicyArn = (region) =>
+  `arn:${getPartition(region)}:iam::aws:policy/service-role/AWSAppSyncPushToCloudWatchLogs`
+
+/**
+ * Check if logging is enabled
+ * @param {Object} config
+ * @return {Boolean}
+ */
+const isLoggingEnabled = (config) =>
+  not(isNil(config.logging)) && not(equals(config.logging.level, 'NONE'))
+
+/**
+ * Create logs role if logging is enabled
+ * @param {Object} awsIamRole
+ * @param {Object} config
+ * @param {Function} debug
+ * @return {Object} - deployed logs role
+ */
+const createLogsRole = async (awsIamRole, config, debug) => {
+  if (not(isLoggingEnabled(config))) {
+    return {}
+  }
+  debug('Create/update logs role')
+  return awsIamRole({
+    service: 'appsync.amazonaws.com',
+    policy: { arn: getLogsPolicyArn(config.region) },
+    region: config.region
+  })
+}
+
+/**
+ * Remove logs role if logging is not enabled anymore, the API must not use the role anymore
+ * @param {Object} awsIamRole
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ */
+const removeLogsRole = async (awsIamRole, config, state, debug) => {
+  if (isLoggingEnabled(config) || isNil(state.logsRoleArn)) {
+    return
+  }
+  debug('Removing logs role')
+  await awsIamRole.remove()
+}
+
+/**
+ * Get log config of the graphql API
+ * @param {Object} config
+ * @param {String} logsRoleArn
+ * @param {Object} state
+ * @return {Object} - log config, null if logging is disabled and undefined if not managed
+ */
+const getLogConfig = (config, logsRoleArn, state) => {
+  if (isLoggingEnabled(config)) {
+    return {
+      fieldLogLevel: config.logging.level || 'ERROR',
+      cloudWatchLogsRoleArn: logsRoleArn,
+      excludeVerboseContent: !!config.logging.excludeVerboseContent
+    }
+  }
+  if (not(isNil(config.logConfig))) {
+    return config.logConfig
+  }
+  return isNil(config.logging) && isNil(state.logsRoleArn) ? undefined : null
+}
+
+/**
+ * Set retention of the log group of the graphql API
+ * @param {Object} cloudWatchLogs
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ */
+const setLogRetention = async (cloudWatchLogs, config, state, debug) => {
+  const logGroupName = `/aws/appsync/apis/${config.apiId}`
+  const retentionInDays = isLoggingEnabled(config) ? config.logging.retentionInDays : undefined
+  if (isNil(retentionInDays)) {
+    if (not(isNil(state.logging && state.logging.retentionInDays))) {
+      debug(`Removing retention of log group ${logGroupName}`)
+      try {
+        await cloudWatchLogs.deleteRetentionPolicy({ logGroupName }).promise()
+      } catch (error) {
+        if (not(equals(error.code, 'ResourceNotFoundException'))) {
+          throw error
+        }
+      }
+    }
+    return
+  }
+  if (equals(retentionInDays, state.logging && state.logging.retentionInDays)) {
+    return
+  }
+  // the log group is created by AppSync on the first request, create it to set the retention
+  try {
+    await cloudWatchLogs.createLogGroup({ logGroupName }).promise()
+  } catch (error) {
+    if (not(equals(error.code, 'ResourceAlreadyExistsException'))) {
+      throw error
+    }
+  }
+  debug(`Setting retention of log group ${logGroupName} to ${retentionInDays} days`)
+  await cloudWatchLogs.putRetentionPolicy({ logGroupName, retentionInDays }).promise()
+}
+
+module.exports = {
+  isLoggingEnabled,
+  createLogsRole,
+  removeLogsRole,
+  getLogConfig,
+  setLogRetention
+}
@@ -0,0 +1,365 @@
+const {
+  all,
+  any,
+  concat,
+  equals,
+  filter,
+  find,
+  forEach,
+  has,
+  includes,
+  isNil,
+  join,
+  keys,
+  map,
+  merge,
+  not,
+  path,
+  pick,
+  pluck,
+  propEq,
+  uniq
+} = require('ramda')
+
+const { defaultToAnArray } = require('.')
+const {
+  createOrUpdateDataSource,
+  getDataSourcesToDeploy,
+  getObsoleteDataSources,
+  removeDataSource
+} = require('./datasources')
+const {
+  createOrUpdateFunction,
+  getDuplicateFunctions,
+  getFunctionsToDeploy,
+  getObsoleteFunctions,
+  removeFunction
+} = require('./functions')
+const { listDeployed, listDeployedResolvers } = require('./inventory')
+const {
+  createOrUpdateResolver,
+  getObsoleteResolvers,
+  getResolversToDeploy,
+  removeResolver
+} = require('./resolvers')
+const { getSchemaFields, getSchemaToDeploy, updateSchema } = require('./schema')
+
+/**
+ * Check that tasks do not depend on each other in a cycle
+ * @param {Object} dependencies - ids of the tasks each task depends on
+ */
+const checkForCycles = (dependencies) => {
+  const visited = {}
+  const visit = (id, cycle) => {
+    if (equals(visited[id], 'done')) {
+      return
+    }
+    if (equals(visited[id], 'visiting')) {
+      throw new Error(`Circular dependency between changes [${join(' -> ', concat(cycle, [id]))}]`)
+    }
+    visited[id] = 'visiting'
+    forEach((dependency) => visit(dependency, concat(cycle, [id])), dependencies[id])
+    visited[id] = 'done'
+  }
+  forEach((id) => visit(id, []), keys(dependencies))
+}
+
+/**
+ * Run tasks as soon as the tasks they depend on have finished, independent tasks run in
+ * parallel. After a task fails no new tasks are started and the error is thrown once the running
+ * tasks have finished
+ * @param {Object} tasks - tasks by id with a run function and the ids of the tasks they depend on
+ */
+const runTasks = (tasks) => {
+  const ids = keys(tasks)
+  // dependencies on changes which are not made are already fulfilled
+  const dependencies = map(
+    ({ dependsOn }) => filter((id) => has(id, tasks), uniq(defaultToAnArray(dependsOn))),
+    tasks
+  )
+  checkForCycles(dependencies)
+  const started = {}
+  const finished = {}
+  let running = 0
+  let failure
+  return new Promise((resolve, reject) => {
+    const schedule = () => {
+      if (isNil(failure)) {
+        forEach((id) => {
+          if (not(started[id]) && all((dependency) => finished[dependency], dependencies[id])) {
+            started[id] = true
+            running += 1
+            tasks[id]
+              .run()
+              .then(
+                () => {
+                  finished[id] = true
+                },
+                (error) => {
+                  failure = failure || error
+                }
+              )
+              .finally(() => {
+                running -= 1
+                schedule()
+              })
+          }
+        }, ids)
+      }
+      if (equals(running, 0)) {
+        if (isNil(failure)) {
+          resolve()
+        } else {
+          reject(failure)
+        }
+      }
+    }
+    schedule()
+  })
+}
+
+/**
+ * Get the changes to data sources, functions, resolvers and schema. Functions and resolvers
+ * which use a data source or function that is replaced are replaced as well, as a resource can't
+ * be removed while it's used
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ * @returns {Object} - resources to deploy, obsolete resources and deployed functions and resolvers
+ */
+const getResourceChanges = async (appSync, config, state, debug) => {
+  const dataSources = await getDataSourcesToDeploy(appSync, config)
+  const schema = await getSchemaToDeploy(config, state, debug)
+  const functionsToDeploy = await getFunctionsToDeploy(appSync, config)
+  const resolversToDeploy = await getResolversToDeploy(
+    appSync,
+    merge(config, { functions: functionsToDeploy })
+  )
+  const obsoleteDataSources = getObsoleteDataSources(config, state)
+  const obsoleteResolvers = getObsoleteResolvers(config, state)
+  const deployedFunctions = await listDeployed(appSync, config, 'functions')
+  // functions of the same name left by deployments which identified functions by data source
+  const obsoleteFunctions = concat(
+    getObsoleteFunctions(config, state),
+    getDuplicateFunctions(functionsToDeploy, deployedFunctions)
+  )
+  const deployedResolvers = await listDeployedResolvers(
+    appSync,
+    config,
+    pluck('type', concat(resolversToDeploy, obsoleteResolvers))
+  )
+
+  const replacedDataSources = pluck('name', filter(propEq('mode', 'replace'), dataSources))
+  const functions = map((func) => {
+    const deployedFunction = find(propEq('functionId', func.functionId), deployedFunctions)
+    return deployedFunction &&
+      includes(deployedFunction.dataSourceName, replacedDataSources) &&
+      includes(func.dataSource, replacedDataSources)
+      ? merge(func, { mode: 'replace' })
+      : func
+  }, functionsToDeploy)
+
+  const replacedFunctions = filter(propEq('mode', 'replace'), functions)
+  const resolvers = map((resolver) => {
+    const deployedResolver = find(
+      ({ typeName, fieldName }) =>
+        equals(typeName, resolver.type) && equals(fieldName, resolver.field),
+      deployedResolvers
+    )
+    if (isNil(deployedResolver)) {
+      return resolver
+    }
+    const usesReplacedDataSource =
+      includes(deployedResolver.dataSourceName, replacedDataSources) &&
+      includes(resolver.dataSource, replacedDataSources)
+    const usesReplacedFunction = any(
+      ({ name, functionId }) =>
+        includes(
+          functionId,
+          defaultToAnArray(path(['pipelineConfig', 'functions'], deployedResolver))
+        ) && includes(name, defaultToAnArray(resolver.functions)),
+      replacedFunctions
+    )
+    return usesReplacedDataSource || usesReplacedFunction
+      ? merge(resolver, { mode: 'replace' })
+      : resolver
+  }, resolversToDeploy)
+
+  return {
+    dataSources,
+    schema,
+    functions,
+    resolvers,
+    obsoleteDataSources,
+    obsoleteFunctions,
+    obsoleteResolvers,
+    deployedFunctions,
+    deployedResolvers
+  }
+}
+
+const taskId = (action, resource, name) => `${action} ${resource} ${name}`
+
+/**
+ * Deploy data sources, schema, functions and resolvers in the order of their dependencies.
+ * Resources are detached before the resources they use are removed, replaced resources are
+ * removed before they are created again and resolvers of fields removed from the schema are
+ * removed before the schema is updated
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ * @returns {Object} - deployed data sources, schema checksum, functions and resolvers
+ */
+const deployResources = async (appSync, config, state, debug) => {
+  const changes = await getResourceChanges(appSync, config, state, debug)
+  const tasks = {}
+  const isChanged = ({ mode }) => not(equals(mode, 'ignore'))
+  const resolverName = ({ type, field }) => `${type}.${field}`
+
+  const removedResolvers = concat(
+    changes.obsoleteResolvers,
+    map(pick(['type', 'field']), filter(propEq('mode', 'replace'), changes.resolvers))
+  )
+  const removedFunctions = concat(
+    changes.obsoleteFunctions,
+    map(pick(['name', 'functionId']), filter(propEq('mode', 'replace'), changes.functions))
+  )
+  const removedDataSources = concat(
+    pluck('name', changes.obsoleteDataSources),
+    pluck('name', filter(propEq('mode', 'replace'), changes.dataSources))
+  )
+
+  // the change which detaches a deployed function or resolver from the resources it uses
+  const getFunctionDetachTask = ({ functionId }) => {
+    if (any(propEq('functionId', functionId), removedFunctions)) {
+      return taskId('remove', 'function', functionId)
+    }
+    const func = find(propEq('functionId', functionId), changes.functions)
+    return func && isChanged(func) ? taskId('deploy', 'function', func.name) : undefined
+  }
+  const getResolverDetachTask = ({ typeName, fieldName }) => {
+    const name = resolverName({ type: typeName, field: fieldName })
+    const isResolver = (resolver) => equals(resolverName(resolver), name)
+    if (any(isResolver, removedResolvers)) {
+      return taskId('remove', 'resolver', name)
+    }
+    const resolver = find(isResolver, changes.resolvers)
+    return resolver && isChanged(resolver) ? taskId('deploy', 'resolver', name) : undefined
+  }
+
+  forEach((resolver) => {
+    tasks[taskId('remove', 'resolver', resolverName(resolver))] = {
+      run: () => removeResolver(appSync, config, resolver, debug)
+    }
+  }, removedResolvers)
+
+  forEach((func) => {
+    tasks[taskId('remove', 'function', func.functionId)] = {
+      dependsOn: map(
+        getResolverDetachTask,
+        filter(
+          (deployedResolver) =>
+            includes(
+              func.functionId,
+              defaultToAnArray(path(['pipelineConfig', 'functions'], deployedResolver))
+            ),
+          changes.deployedResolvers
+        )
+      ),
+      run: () => removeFunction(appSync, config, func, debug)
+    }
+  }, removedFunctions)
+
+  forEach((name) => {
+    tasks[taskId('remove', 'dataSource', name)] = {
+      dependsOn: concat(
+        map(
+          getFunctionDetachTask,
+          filter(propEq('dataSourceName', name), changes.deployedFunctions)
+        ),
+        map(
+          getResolverDetachTask,
+          filter(propEq('dataSourceName', name), changes.deployedResolvers)
+        )
+      ),
+      run: () => removeDataSource(appSync, config, name, debug)
+    }
+  }, removedDataSources)
+
+  if (equals(changes.schema.mode, 'update')) {
+    const schemaFields = getSchemaFields(changes.schema.schema)
+    tasks[taskId('deploy', 'schema', 'schema')] = {
+      dependsOn: map(
+        (resolver) => taskId('remove', 'resolver', resolverName(resolver)),
+        filter(
+          (resolver) => not(includes(resolverName(resolver), schemaFields)),
+          changes.obsoleteResolvers
+        )
+      ),
+      run: () => updateSchema(appSync, config, changes.schema.schema, debug)
+    }
+  }
+
+  forEach((dataSource) => {
+    tasks[taskId('deploy', 'dataSource', dataSource.name)] = {
+      dependsOn: [taskId('remove', 'dataSource', dataSource.name)],
+      run: () => createOrUpdateDataSource(appSync, dataSource, debug)
+    }
+  }, filter(isChanged, changes.dataSources))
+
+  const functionsByName = {}
+  forEach((func) => {
+    functionsByName[func.name] = func
+  }, changes.functions)
+  forEach((func) => {
+    tasks[taskId('deploy', 'function', func.name)] = {
+      dependsOn: [
+        taskId('deploy', 'dataSource', func.dataSource),
+        taskId('remove', 'function', func.functionId)
+      ],
+      run: async () => {
+        functionsByName[func.name] = await createOrUpdateFunction(appSync, config, func, debug)
+      }
+    }
+  }, filter(isChanged, changes.functions))
+
+  forEach((resolver) => {
+    tasks[taskId('deploy', 'resolver', resolverName(resolver))] = {
+      dependsOn: concat(
+        [
+          taskId('deploy', 'schema', 'schema'),
+          taskId('deploy', 'dataSource', resolver.dataSource),
+          taskId('remove', 'resolver', resolverName(resolver))
+        ],
+        map((name) => taskId('deploy', 'function', name), defaultToAnArray(resolver.functions))
+      ),
+      // pipeline resolvers use the ids of the functions deployed before them
+      run: () =>
+        createOrUpdateResolver(
+          appSync,
+          merge(config, {
+            functions: map((func) => functionsByName[func.name], changes.functions)
+          }),
+          resolver,
+          debug
+        )
+    }
+  }, filter(isChanged, changes.resolvers))
+
+  await runTasks(tasks)
+
+  return {
+    dataSources: changes.dataSources,
+    schemaChecksum: changes.schema.schemaChecksum,
+    functions: map((func) => functionsByName[func.name], changes.functions),
+    mappingTemplates: changes.resolvers
+  }
+}
+
+module.exports = {
+  runTasks,
+  getResourceChanges,
+  deployResources
+}
@@ -0,0 +1,275 @@
+const { deployResources, getResourceChanges, runTasks } = require('./ordering')
+
+const defer = () => {
+  let resolve
+  const promise = new Promise((res) => {
+    resolve = res
+  })
+  return { promise, resolve }
+}
+
+const createAppSync = (calls) => {
+  const respond = (name, response = {}) => (params) => ({
+    promise: async () => {
+      calls.push([name, params])
+      return response
+    }
+  })
+  return {
+    createDataSource: respond('createDataSource'),
+    updateDataSource: respond('updateDataSource'),
+    deleteDataSource: respond('deleteDataSource'),
+    createFunction: respond('createFunction', { functionConfiguration: { functionId: 'fn-new' } }),
+    updateFunction: respond('updateFunction'),
+    deleteFunction: respond('deleteFunction'),
+    createResolver: respond('createResolver'),
+    updateResolver: respond('updateResolver'),
+    deleteResolver: respond('deleteResolver'),
+    startSchemaCreation: respond('startSchemaCreation'),
+    getSchemaCreationStatus: respond('getSchemaCreationStatus', { status: 'SUCCESS' })
+  }
+}
+
+const describeCall = ([name, params]) =>
+  `${name} ${params.name || params.fieldName || params.functionId || ''}`.trim()
+
+const resolver = (fieldName, properties) => ({
+  typeName: 'Query',
+  fieldName,
+  kind: 'UNIT',
+  requestMappingTemplate: '{}',
+  responseMappingTemplate: '{}',
+  ...properties
+})
+
+// data source n changes type, o is removed, resolver c moves from o to x and Query.old is
+// removed from the schema
+const createConfig = () => ({
+  apiId: 'api',
+  isApiCreator: true,
+  schema: 'type Query { a: String b: String c: String }',
+  dataSources: [
+    {
+      type: 'AWS_LAMBDA',
+      name: 'n',
+      serviceRoleArn: 'arn:aws:iam::123456789012:role/r',
+      config: { lambdaFunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:f' }
+    },
+    { type: 'NONE', name: 'x', serviceRoleArn: 'arn:aws:iam::123456789012:role/r', config: {} }
+  ],
+  functions: [{ name: 'f', dataSource: 'n', request: '{}', response: '{}' }],
+  mappingTemplates: [
+    { type: 'Query', field: 'a', dataSource: 'n', request: '{}', response: '{}' },
+    { type: 'Query', field: 'b', kind: 'PIPELINE', functions: ['f'] },
+    { type: 'Query', field: 'c', dataSource: 'x', request: '{}', response: '{}' }
+  ],
+  inventory: {
+    dataSources: [
+      { name: 'n', type: 'NONE', serviceRoleArn: 'arn:aws:iam::123456789012:role/r' },
+      { name: 'o', type: 'NONE', serviceRoleArn: 'arn:aws:iam::123456789012:role/r' },
+      { name: 'x', type: 'NONE', serviceRoleArn: 'arn:aws:iam::123456789012:role/r' }
+    ],
+    functions: [
+      {
+        name: 'f',
+        functionId: 'fn-f',
+        dataSourceName: 'n',
+        requestMappingTemplate: '{}',
+        responseMappingTemplate: '{}'
+      }
+    ],
+    apiKeys: [],
+    resolvers: [
+      resolver('a', { dataSourceName: 'n' }),
+      resolver('b', {
+        kind: 'PIPELINE',
+        pipelineConfig: { functions: ['fn-f'] },
+        responseMappingTemplate: '$util.toJson($context.result)'
+      }),
+      resolver('c', { dataSourceName: 'o' }),
+      resolver('old', { dataSourceName: 'o' })
+    ],
+    resolverTypes: ['Query']
+  }
+})
+
+const state = {
+  dataSources: [
+    { name: 'n', type: 'NONE' },
+    { name: 'o', type: 'NONE' },
+    { name: 'x', type: 'NONE' }
+  ],
+  functions: [{ name: 'f', dataSource: 'n', functionId: 'fn-f' }],
+  mappingTemplates: [
+    { type: 'Query', field: 'a' },
+    { type: 'Query', field: 'b' },
+    { type: 'Query', field: 'c' },
+    { type: 'Query', field: 'old' }
+  ]
+}
+
+describe('runTasks', () => {
+  it('runs tasks after their dependencies and independent tasks in parallel', async () => {
+    const events = []
+    const first = defer()
+    const task = (id, dependsOn, done) => ({
+      dependsOn,
+      run: async () => {
+        events.push(`start ${id}`)
+        await done
+        events.push(`end ${id}`)
+      }
+    })
+    const running = runTasks({
+      a: task('a', [], first.promise),
+      b: task('b', []),
+      c: task('c', ['a', 'b'])
+    })
+    await new Promise((resolve) => setImmediate(resolve))
+    expect(events).toEqual(['start a', 'start b', 'end b'])
+    first.resolve()
+    await running
+    expect(events).toEqual(['start a', 'start b', 'end b', 'end a', 'start c', 'end c'])
+  })
+
+  it('ignores dependencies on tasks which are not run', async () => {
+    const run = jest.fn(async () => {})
+    await runTasks({ a: { dependsOn: ['missing', undefined], run } })
+    expect(run).toHaveBeenCalledTimes(1)
+  })
+
+  it('starts no new tasks after a failure and rejects when the running tasks finish', async () => {
+    const slow = defer()
+    const finished = jest.fn()
+    const dependent = jest.fn(async () => {})
+    const running = runTasks({
+      failing: { run: async () => Promise.reject(new Error('failed')) },
+      slow: {
+        run: async () => {
+          await slow.promise
+          finished()
+        }
+      },
+      dependent: { dependsOn: ['slow'], run: dependent }
+    })
+    await new Promise((resolve) => setImmediate(resolve))
+    slow.resolve()
+    await expect(running).rejects.toThrow('failed')
+    expect(finished).toHaveBeenCalled()
+    expect(dependent).not.toHaveBeenCalled()
+  })
+
+  it('rejects circular dependencies before running anything', () => {
+    const run = jest.fn(async () => {})
+    expect(() => runTasks({ a: { dependsOn: ['b'], run }, b: { dependsOn: ['a'], run } })).toThrow(
+      'Circular dependency between changes [a -> b -> a]'
+    )
+    expect(run).not.toHaveBeenCalled()
+  })
+})
+
+describe('getResourceChanges', () => {
+  it('replaces functions and resolvers attached to a replaced data source', async () => {
+    const changes = await getResourceChanges(createAppSync([]), createConfig(), state, () => {})
+    const modes = (items, key) => items.map((item) => [item[key], item.mode])
+    expect(modes(changes.dataSources, 'name')).toEqual([
+      ['n', 'replace'],
+      ['x', 'ignore']
+    ])
+    expect(modes(changes.functions, 'name')).toEqual([['f', 'replace']])
+    expect(modes(changes.resolvers, 'field')).toEqual([
+      ['a', 'replace'],
+      ['b', 'replace'],
+      ['c', 'update']
+    ])
+    expect(changes.obsoleteDataSources).toEqual([{ name: 'o', type: 'NONE' }])
+    expect(changes.obsoleteResolvers).toEqual([{ type: 'Query', field: 'old' }])
+  })
+
+  it('updates a function moved to a data source which is not replaced', async () => {
+    const config = createConfig()
+    config.functions = [{ name: 'f', dataSource: 'x', request: '{}', response: '{}' }]
+    const changes = await getResourceChanges(createAppSync([]), config, state, () => {})
+    expect(changes.functions).toEqual([
+      expect.objectContaining({ name: 'f', functionId: 'fn-f', mode: 'update' })
+    ])
+  })
+
+  it('keeps the function of the same data source when several have the same name', async () => {
+    const config = createConfig()
+    config.functions = [{ name: 'f', dataSource: 'x', request: '{}', response: '{}' }]
+    config.inventory.functions = [
+      config.inventory.functions[0],
+      { ...config.inventory.functions[0], functionId: 'fn-x', dataSourceName: 'x' }
+    ]
+    const changes = await getResourceChanges(createAppSync([]), config, state, () => {})
+    expect(changes.functions).toEqual([
+      expect.objectContaining({ name: 'f', functionId: 'fn-x', mode: 'ignore' })
+    ])
+    expect(changes.obsoleteFunctions).toEqual([{ name: 'f', dataSource: 'n', functionId: 'fn-f' }])
+  })
+})
+
+describe('deployResources', () => {
+  it('updates a function in place and removes functions of the same name', async () => {
+    const calls = []
+    const config = createConfig()
+    config.dataSources[0].type = 'NONE'
+    config.dataSources[0].config = {}
+    config.functions = [{ name: 'f', dataSource: 'x', request: '{}', response: '{}' }]
+    // a function of the same name was created for data source o by an earlier deployment
+    config.inventory.functions = [
+      config.inventory.functions[0],
+      { ...config.inventory.functions[0], functionId: 'fn-o', dataSourceName: 'o' }
+    ]
+    config.inventory.resolvers[1].pipelineConfig.functions = ['fn-o']
+    const oldState = {
+      ...state,
+      functions: [
+        { name: 'f', dataSource: 'o', functionId: 'fn-o' },
+        { name: 'f', dataSource: 'n', functionId: 'fn-f' }
+      ]
+    }
+    const deployed = await deployResources(createAppSync(calls), config, oldState, () => {})
+    const order = calls.map(describeCall)
+
+    expect(calls).toContainEqual([
+      'updateFunction',
+      expect.objectContaining({ functionId: 'fn-f', dataSourceName: 'x' })
+    ])
+    expect(order).not.toContain('createFunction f')
+    expect(order).not.toContain('deleteFunction fn-f')
+    expect(order.indexOf('updateResolver b')).toBeLessThan(order.indexOf('deleteFunction fn-o'))
+    expect(order.indexOf('deleteFunction fn-o')).toBeLessThan(order.indexOf('deleteDataSource o'))
+    expect(deployed.functions).toEqual([expect.objectContaining({ name: 'f', functionId: 'fn-f' })])
+  })
+
+  it('detaches resources before removing what they use', async () => {
+    const calls = []
+    const deployed = await deployResources(createAppSync(calls), createConfig(), state, () => {})
+    const order = calls.map(describeCall)
+    const before = (first, second) => {
+      expect(order).toContain(first)
+      expect(order).toContain(second)
+      expect(order.indexOf(first)).toBeLessThan(order.indexOf(second))
+    }
+
+    before('deleteResolver old', 'startSchemaCreation')
+    before('deleteResolver b', 'deleteFunction fn-f')
+    before('deleteFunction fn-f', 'deleteDataSource n')
+    before('deleteResolver a', 'deleteDataSource n')
+    before('deleteDataSource n', 'createDataSource n')
+    before('createDataSource n', 'createFunction f')
+    before('createFunction f', 'createResolver b')
+    before('startSchemaCreation', 'createResolver a')
+    before('updateResolver c', 'deleteDataSource o')
+
+    const pipeline = calls.find(
+      ([name, params]) => name === 'createResolver' && params.fieldName === 'b'
+    )
+    expect(pipeline[1].pipelineConfig).toEqual({ functions: ['fn-new'] })
+    expect(deployed.functions).toEqual([
+      expect.objectContaining({ name: 'f', functionId: 'fn-new' })
+    ])
+  })
+})
@@ -0,0 +1,99 @@
+const { utils } = require('@serverless/core')
+const { chain, concat, endsWith, head, isEmpty, isNil, map, not, reject } = require('ramda')
+
+const { defaultToAnArray } = require('.')
+
+/**
+ * Format API key expiry, AppSync returns expiry as epoch seconds
+ * @param {Number} expires
+ * @returns {String} - ISO date, undefined if not defined
+ */
+const formatExpires = (expires) =>
+  isNil(expires) ? undefined : new Date(expires * 1000).toISOString()
+
+/**
+ * Get component outputs
+ * @param {Object} graphqlApi - deployed graphql API
+ * @param {Object} config
+ * @returns {Object} - outputs
+ */
+const getOutputs = (graphqlApi, config) => {
+  const uris = graphqlApi.uris || config.uris || {}
+  const outputs = {
+    apiId: config.apiId,
+    arn: graphqlApi.arn || config.arn,
+    url: uris.GRAPHQL,
+    realtimeUrl: uris.REALTIME,
+    region: config.region,
+    authenticationType: graphqlApi.authenticationType || config.authenticationType
+  }
+  const additionalAuthenticationProviders = defaultToAnArray(
+    graphqlApi.additionalAuthenticationProviders || config.additionalAuthenticationProviders
+  )
+  if (not(isEmpty(additionalAuthenticationProviders))) {
+    outputs.additionalAuthenticationProviders = additionalAuthenticationProviders
+  }
+  const apiKeys = defaultToAnArray(config.apiKeys)
+  if (not(isEmpty(apiKeys))) {
+    outputs.apiKeys = map(({ id }) => id, apiKeys)
+    // predecessors of rotated keys stay valid until they are removed
+    outputs.apiKeyDetails = chain(
+      ({ name, id, expires, predecessors }) =>
+        concat(
+          [reject(isNil, { name, key: id, expires: formatExpires(expires) })],
+          map(
+            (predecessor) => ({
+              name,
+              key: predecessor.id,
+              expires: formatExpires(predecessor.expires),
+              predecessor: true
+            }),
+            defaultToAnArray(predecessors)
+          )
+        ),
+      apiKeys
+    )
+  }
+  return reject(isNil, outputs)
+}
+
+/**
+ * Get Amplify client configuration
+ * @param {Object} outputs
+ * @returns {Object} - client configuration
+ */
+const getClientConfig = (outputs) => {
+  const apiKey = head(defaultToAnArray(outputs.apiKeys))
+  return reject(isNil, {
+    aws_project_region: outputs.region,
+    aws_appsync_graphqlEndpoint: outputs.domain || outputs.url,
+    aws_appsync_region: outputs.region,
+    aws_appsync_authenticationType: outputs.authenticationType,
+    aws_appsync_apiKey: apiKey
+  })
+}
+
+/**
+ * Write Amplify client configuration file, JSON files are written as JSON and other files as
+ * an aws-exports.js module
+ * @param {String} filePath
+ * @param {Object} outputs
+ * @param {Function} debug
+ */
+const writeClientConfigFile = async (filePath, outputs, debug) => {
+  const clientConfig = getClientConfig(outputs)
+  debug(`Writing client configuration to ${filePath}`)
+  if (endsWith('.json', filePath)) {
+    await utils.writeFile(filePath, clientConfig)
+    return
+  }
+  await utils.writeFile(
+    filePath,
+    `const awsmobile = ${JSON.stringify(clientConfig, null, 2)}\n\nexport default awsmobile\n`
+  )
+}
+
+module.exports = {
+  getOutputs,
+  writeClientConfigFile
+}
@@ -1,49 +1,126 @@
-const { checkForDuplicates, defaultToAnArray, equalsByKeys, listAll, readIfFile } = require('.')
-const { difference, equals, find, isNil, map, not, flatten, merge, pick, pipe } = require('ramda')
+const {
+  checkForDuplicates,
+  defaultToAnArray,
+  equalsByKeys,
+  formatSyncConfig,
+  readMappingTemplate
+} = require('.')
+const { listDeployed, listDeployedResolvers } = require('./inventory')
+const {
+  concat,
+  difference,
+  equals,
+  find,
+  includes,
+  isNil,
+  map,
+  not,
+  merge,
+  path,
+  pick,
+  propEq
+} = require('ramda')
 
 /**
- * Create or update resolvers
+ * Resolve the pipeline config of a resolver, function names are mapped to function ids. Functions
+ * which are not deployed yet are planned with a placeholder, they must be deployed before the
+ * resolver is
+ * @param {Object} resolver
+ * @param {Array} functions
+ * @param {Boolean} allowPending - use placeholders for functions without an id
+ * @returns {Object} - pipeline config
+ */
+const resolvePipelineConfig = (resolver, functions, allowPending = false) => {
+  if (isNil(resolver.functions)) {
+    return resolver.pipelineConfig
+  }
+  return {
+    functions: map((functionName) => {
+      const func = find(propEq('name', functionName), defaultToAnArray(functions))
+      if (isNil(func)) {
+        throw new Error(
+          `Function ${functionName} used by resolver ${resolver.field}/${resolver.type} not found`
+        )
+      }
+      if (isNil(func.functionId)) {
+        if (not(allowPending)) {
+          throw new Error(
+            `Function ${functionName} used by resolver ${resolver.field}/${resolver.type} not deployed`
+          )
+        }
+        return `pending:${functionName}`
+      }
+      return func.functionId
+    }, resolver.functions)
+  }
+}
+
+/**
+ * Get the type of a data source, from the config if defined there, otherwise from the API
  * @param {Object} appSync
  * @param {Object} config
- * @param {Function} debug
- * @return {Object} - deployed resolvers
+ * @param {String} name
+ * @returns {String} - data source type
  */
-const createOrUpdateResolvers = async (appSync, config, debug) => {
+const getDataSourceType = async (appSync, config, name) => {
+  const dataSource = find(propEq('name', name), defaultToAnArray(config.dataSources))
+  if (not(isNil(dataSource))) {
+    return dataSource.type
+  }
+  const deployedDataSource = find(
+    propEq('name', name),
+    await listDeployed(appSync, config, 'dataSources')
+  )
+  if (not(isNil(deployedDataSource))) {
+    return deployedDataSource.type
+  }
+  const response = await appSync.getDataSource({ apiId: config.apiId, name }).promise()
+  return response.dataSource.type
+}
+
+/**
+ * Get resolvers with the deploy mode (create, update or ignore)
+ * @param {Object} appSync
+ * @param {Object} config
+ * @return {Array} - resolvers to deploy
+ */
+const getResolversToDeploy = async (appSync, config) => {
   checkForDuplicates(['dataSource', 'type', 'field'], defaultToAnArray(config.mappingTemplates))
-  const deployedResolvers = pipe(
-    flatten,
-    map((resolver) =>
+  const deployedResolvers = map(
+    (resolver) =>
       merge(resolver, {
         type: resolver.typeName,
         field: resolver.fieldName,
         dataSource: resolver.dataSourceName
-      })
-    )
-  )(
-    await Promise.all(
-      map(
-        async (mappingTemplate) =>
-          listAll(
-            appSync,
-            'listResolvers',
-            { apiId: config.apiId, typeName: mappingTemplate.type },
-            'resolvers'
-          ),
-        defaultToAnArray(config.mappingTemplates)
-      )
+      }),
+    await listDeployedResolvers(
+      appSync,
+      config,
+      map(({ type }) => type, defaultToAnArray(config.mappingTemplates))
     )
   )
 
   const resolversWithTemplates = await Promise.all(
     map(async (resolver) => {
-      let requestMappingTemplate = await readIfFile(resolver.request)
-      let responseMappingTemplate = await readIfFile(resolver.response)
+      const kind = resolver.kind || 'UNIT'
+      let requestMappingTemplate = await readMappingTemplate(
+        resolver.before || resolver.request,
+        config,
+        resolver
+      )
+      let responseMappingTemplate = await readMappingTemplate(
+        resolver.after || resolver.response,
+        config,
+        resolver
+      )
 
-      if (isNil(requestMappingTemplate) || isNil(responseMappingTemplate)) {
-        const { dataSource } = await appSync
-          .getDataSource({ apiId: config.apiId, name: resolver.dataSource })
-          .promise()
-        if (equals(dataSource.type, 'AWS_LAMBDA')) {
+      if (equals(kind, 'PIPELINE')) {
+        // before and after templates are required for pipeline resolvers
+        requestMappingTemplate = requestMappingTemplate || '{}'
+        responseMappingTemplate = responseMappingTemplate || '$util.toJson($context.result)'
+      } else if (isNil(requestMappingTemplate) || isNil(responseMappingTemplate)) {
+        const dataSourceType = await getDataSourceType(appSync, config, resolver.dataSource)
+        if (equals(dataSourceType, 'AWS_LAMBDA')) {
           requestMappingTemplate =
             requestMappingTemplate ||
             '{ "version": "2017-02-28", "operation": "Invoke", "payload": $util.toJson($context.arguments) })'
@@ -51,51 +128,116 @@ const createOrUpdateResolvers = async (appSync, config, debug) => {
         }
       }
 
-      return merge(resolver, { requestMappingTemplate, responseMappingTemplate })
+      return merge(resolver, {
+        kind,
+        requestMappingTemplate,
+        responseMappingTemplate,
+        cachingConfig: isNil(resolver.caching)
+          ? undefined
+          : {
+              ttl: resolver.caching.ttl || path(['cache', 'ttl'], config) || 3600,
+              cachingKeys: defaultToAnArray(resolver.caching.keys)
+            },
+        syncConfig: formatSyncConfig(resolver.sync),
+        pipelineConfig: equals(kind, 'PIPELINE')
+          ? resolvePipelineConfig(resolver, config.functions, true)
+          : undefined
+      })
     }, defaultToAnArray(config.mappingTemplates))
   )
 
-  const resolversToDeploy = map((resolver) => {
+  return map((resolver) => {
     const deployedResolver = find(
       ({ type, field }) => equals(type, resolver.type) && equals(field, resolver.field),
       deployedResolvers
     )
+    const keysToCheck = concat(
+      ['kind', 'type', 'field', 'responseMappingTemplate', 'requestMappingTemplate'],
+      equals(resolver.kind, 'PIPELINE') ? ['pipelineConfig'] : ['dataSource']
+    )
     const resolverEquals = isNil(deployedResolver)
       ? false
-      : equalsByKeys(
-          ['dataSource', 'type', 'field', 'responseMappingTemplate', 'requestMappingTemplate'],
-          deployedResolver,
-          resolver
-        )
+      : equalsByKeys(keysToCheck, deployedResolver, resolver) &&
+        equals(deployedResolver.cachingConfig, resolver.cachingConfig) &&
+        equals(deployedResolver.syncConfig, resolver.syncConfig)
 
     const mode = not(resolverEquals) ? (not(deployedResolver) ? 'create' : 'update') : 'ignore'
     return merge(resolver, { mode })
   }, resolversWithTemplates)
+}
 
-  return await Promise.all(
-    map(async (resolver) => {
-      const params = {
+/**
+ * Create or update a resolver, the function ids of pipeline resolvers are resolved from the
+ * deployed functions of the config. Replaced resolvers are created after the deployed resolver
+ * has been removed
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} resolver - resolver to deploy
+ * @param {Function} debug
+ * @return {Object} - deployed resolver
+ */
+const createOrUpdateResolver = async (appSync, config, resolver, debug) => {
+  const params = {
+    apiId: config.apiId,
+    fieldName: resolver.field,
+    requestMappingTemplate: resolver.requestMappingTemplate,
+    responseMappingTemplate: resolver.responseMappingTemplate,
+    typeName: resolver.type,
+    dataSourceName: resolver.dataSource,
+    kind: resolver.kind,
+    pipelineConfig: equals(resolver.kind, 'PIPELINE')
+      ? resolvePipelineConfig(resolver, config.functions)
+      : undefined,
+    cachingConfig: resolver.cachingConfig,
+    syncConfig: resolver.syncConfig
+  }
+  if (includes(resolver.mode, ['create', 'replace'])) {
+    debug(`Creating resolver ${resolver.field}/${resolver.type}`)
+    await appSync.createResolver(params).promise()
+  } else if (equals(resolver.mode, 'update')) {
+    debug(`Updating resolver ${resolver.field}/${resolver.type}`)
+    await appSync.updateResolver(params).promise()
+  }
+  return resolver
+}
+
+/**
+ * Remove a resolver
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} resolver - type and field of the resolver
+ * @param {Function} debug
+ */
+const removeResolver = async (appSync, config, resolver, debug) => {
+  debug(`Removing resolver ${resolver.field}/${resolver.type}`)
+  try {
+    await appSync
+      .deleteResolver({
         apiId: config.apiId,
         fieldName: resolver.field,
-        requestMappingTemplate: resolver.requestMappingTemplate,
-        responseMappingTemplate: resolver.responseMappingTemplate,
-        typeName: resolver.type,
-        dataSourceName: resolver.dataSource,
-        kind: resolver.kind,
-        pipelineConfig: resolver.pipelineConfig
-      }
-      if (equals(resolver.mode, 'create')) {
-        debug(`Creating resolver ${resolver.field}/${resolver.type}`)
-        await appSync.createResolver(params).promise()
-      } else if (equals(resolver.mode, 'update')) {
-        debug(`Updating resolver ${resolver.field}/${resolver.type}`)
-        await appSync.updateResolver(params).promise()
-      }
-      return Promise.resolve(resolver)
-    }, resolversToDeploy)
-  )
+        typeName: resolver.type
+      })
+      .promise()
+  } catch (error) {
+    if (not(equals(error.code, 'NotFoundException'))) {
+      throw error
+    }
+    debug(`Resolver ${resolver.field}/${resolver.type} already removed`)
+  }
 }
 
+/**
+ * Get resolvers which are in the state but not in the config anymore
+ * @param {Object} config
+ * @param {Object} state
+ * @return {Array} - obsolete resolvers
+ */
+const getObsoleteResolvers = (config, state) =>
+  difference(
+    defaultToAnArray(state.mappingTemplates),
+    map(pick(['type', 'field']), defaultToAnArray(config.mappingTemplates))
+  )
+
 /**
  * Remove obsolete resolvers
  * @param {Object} appSync
@@ -104,29 +246,16 @@ const createOrUpdateResolvers = async (appSync, config, debug) => {
  * @param {Function} debug
  */
 const removeObsoleteResolvers = async (appSync, config, state, debug) => {
-  const obsoleteResolvers = difference(
-    defaultToAnArray(state.mappingTemplates),
-    map(pick(['type', 'field']), defaultToAnArray(config.mappingTemplates))
-  )
+  const obsoleteResolvers = getObsoleteResolvers(config, state)
   await Promise.all(
-    map(async (resolver) => {
-      debug(`Removing resolver ${resolver.field}/${resolver.type}`)
-      try {
-        await appSync
-          .deleteResolver({
-            apiId: config.apiId,
-            fieldName: resolver.field,
-            typeName: resolver.type
-          })
-          .promise()
-      } catch (error) {
-        if (not(equals(error.code, 'NotFoundException'))) {
-          throw error
-        }
-        debug(`Resolver ${resolver.field}/${resolver.type} already removed`)
-      }
-    }, obsoleteResolvers)
+    map((resolver) => removeResolver(appSync, config, resolver, debug), obsoleteResolvers)
   )
 }
 
-module.exports = { createOrUpdateResolvers, removeObsoleteResolvers }
+module.exports = {
+  getResolversToDeploy,
+  createOrUpdateResolver,
+  removeResolver,
+  getObsoleteResolvers,
+  removeObsoleteResolvers
+}
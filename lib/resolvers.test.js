@@ -0,0 +1,93 @@
+const { createOrUpdateResolver, getResolversToDeploy } = require('./resolvers')
+
+const pipelineResolver = {
+  type: 'Query',
+  field: 'getPost',
+  kind: 'PIPELINE',
+  functions: ['auth', 'get']
+}
+
+const createAppSync = (calls) => ({
+  createResolver: (params) => ({
+    promise: async () => {
+      calls.push(params)
+      return {}
+    }
+  })
+})
+
+describe('getResolversToDeploy', () => {
+  it('maps the function names of pipelines to the deployed function ids', async () => {
+    const [resolver] = await getResolversToDeploy(
+      {},
+      {
+        mappingTemplates: [pipelineResolver],
+        functions: [
+          { name: 'get', functionId: 'fn-get' },
+          { name: 'auth', functionId: 'fn-auth' }
+        ]
+      }
+    )
+    expect(resolver.pipelineConfig).toEqual({ functions: ['fn-auth', 'fn-get'] })
+    expect(resolver.mode).toBe('create')
+  })
+
+  it('plans functions which are not deployed yet with a stable placeholder', async () => {
+    const config = {
+      mappingTemplates: [pipelineResolver],
+      functions: [{ name: 'auth', functionId: 'fn-auth' }, { name: 'get' }]
+    }
+    const [resolver] = await getResolversToDeploy({}, config)
+    const [plannedAgain] = await getResolversToDeploy({}, config)
+    expect(resolver.pipelineConfig).toEqual({ functions: ['fn-auth', 'pending:get'] })
+    expect(plannedAgain.pipelineConfig).toEqual(resolver.pipelineConfig)
+  })
+
+  it('rejects functions which are not defined', async () => {
+    await expect(
+      getResolversToDeploy({}, { mappingTemplates: [pipelineResolver], functions: [] })
+    ).rejects.toThrow('Function auth used by resolver getPost/Query not found')
+  })
+})
+
+describe('createOrUpdateResolver', () => {
+  it('deploys pipelines with the ids of the deployed functions', async () => {
+    const calls = []
+    const config = {
+      apiId: 'api',
+      functions: [
+        { name: 'auth', functionId: 'fn-auth' },
+        { name: 'get', functionId: 'fn-get' }
+      ]
+    }
+    await createOrUpdateResolver(
+      createAppSync(calls),
+      config,
+      { ...pipelineResolver, mode: 'create' },
+      () => {}
+    )
+    expect(calls).toEqual([
+      expect.objectContaining({
+        fieldName: 'getPost',
+        pipelineConfig: { functions: ['fn-auth', 'fn-get'] }
+      })
+    ])
+  })
+
+  it('does not deploy pipelines with functions which are not deployed', async () => {
+    const calls = []
+    const config = {
+      apiId: 'api',
+      functions: [{ name: 'auth', functionId: 'fn-auth' }, { name: 'get' }]
+    }
+    await expect(
+      createOrUpdateResolver(
+        createAppSync(calls),
+        config,
+        { ...pipelineResolver, mode: 'create' },
+        () => {}
+      )
+    ).rejects.toThrow('Function get used by resolver getPost/Query not deployed')
+    expect(calls).toEqual([])
+  })
+})
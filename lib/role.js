@@ -1,161 +1,282 @@
 const {
+  chain,
   concat,
+  difference,
   equals,
+  filter,
+  find,
   flatten,
   isNil,
   isEmpty,
-  find,
-  toPairs,
+  keys,
   map,
   not,
+  path,
+  pick,
   pipe,
-  reduce
+  reduce,
+  reject,
+  uniq
 } = require('ramda')
-const { getAccountId, defaultToAnArray } = require('.')
+const { getAccountId, getPartition, defaultToAnArray, elasticsearchEndpointPattern } = require('.')
+
+const defaultActions = {
+  AWS_LAMBDA: ['lambda:invokeFunction'],
+  AMAZON_DYNAMODB: [
+    'dynamodb:DeleteItem',
+    'dynamodb:GetItem',
+    'dynamodb:PutItem',
+    'dynamodb:Query',
+    'dynamodb:Scan',
+    'dynamodb:UpdateItem',
+    'dynamodb:BatchGetItem',
+    'dynamodb:BatchWriteItem'
+  ],
+  AMAZON_ELASTICSEARCH: [
+    'es:ESHttpDelete',
+    'es:ESHttpGet',
+    'es:ESHttpHead',
+    'es:ESHttpPost',
+    'es:ESHttpPut'
+  ],
+  RELATIONAL_DATABASE: [
+    'rds-data:DeleteItems',
+    'rds-data:ExecuteSql',
+    'rds-data:ExecuteStatement',
+    'rds-data:GetItems',
+    'rds-data:InsertItems',
+    'rds-data:UpdateItems'
+  ]
+}
 
 /**
- * Create service role
- * @param {Object} awsIamRole
+ * Get the resources of a DynamoDB data source, indexes are listed explicitly if defined
+ * @param {Object} dataSource
+ * @param {String} arnPrefix
+ * @return {Array} - resources
+ */
+const getDynamoDbResources = (dataSource, arnPrefix) => {
+  const { config, permissions = {} } = dataSource
+  const tableArn = `${arnPrefix}:table/${config.tableName}`
+  const resources = isNil(permissions.indexes)
+    ? [tableArn, `${tableArn}/*`]
+    : concat(
+        [tableArn],
+        map((index) => `${tableArn}/index/${index}`, permissions.indexes)
+      )
+  if (config.versioned && config.deltaSyncConfig) {
+    const deltaSyncTableArn = `${arnPrefix}:table/${config.deltaSyncConfig.deltaSyncTableName}`
+    return concat(resources, [deltaSyncTableArn, `${deltaSyncTableArn}/*`])
+  }
+  return resources
+}
+
+/**
+ * Get the generated policy statements of a data source
+ * @param {Object} dataSource
  * @param {Object} config
- * @param {Function} debug
- * @return {Object} - deployed service role
+ * @param {String} accountId
+ * @return {Array} - policy statements
  */
-const createServiceRole = async (awsIamRole, config, debug) => {
-  const accountId = await getAccountId()
-  const statements = pipe(
-    reduce((acc, dataSource) => {
-      if (isNil(dataSource.serviceRoleArn)) {
-        if (not(acc[dataSource.type])) {
-          acc[dataSource.type] = []
+const getDataSourceStatements = (dataSource, config, accountId) => {
+  const dataSourceConfig = dataSource.config || {}
+  const region = dataSourceConfig.region || config.region
+  const account = dataSourceConfig.accountId || accountId
+  const partition = getPartition(region)
+  const Action = path(['permissions', 'actions'], dataSource) || defaultActions[dataSource.type]
+  switch (dataSource.type) {
+    case 'AWS_LAMBDA':
+      return [
+        {
+          Action,
+          Effect: 'Allow',
+          Resource: [dataSourceConfig.lambdaFunctionArn, `${dataSourceConfig.lambdaFunctionArn}:*`]
         }
-        const existingItem = find(
-          (dataSourceConfig) => equals(dataSourceConfig, dataSource.config),
-          acc[dataSource.type]
+      ]
+    case 'AMAZON_DYNAMODB':
+      return [
+        {
+          Action,
+          Effect: 'Allow',
+          Resource: getDynamoDbResources(
+            dataSource,
+            `arn:${partition}:dynamodb:${region}:${account}`
+          )
+        }
+      ]
+    case 'AMAZON_ELASTICSEARCH': {
+      const result = elasticsearchEndpointPattern.exec(dataSourceConfig.endpoint)
+      if (isNil(result)) {
+        throw new Error(
+          `Invalid Elasticsearch endpoint ${dataSourceConfig.endpoint} of data source ${dataSource.name}`
         )
-        if (isNil(existingItem)) {
-          acc[dataSource.type] = concat(acc[dataSource.type], [dataSource.config])
+      }
+      return [
+        {
+          Action,
+          Effect: 'Allow',
+          Resource: [`arn:${partition}:es:${region}:${account}:domain/${result[1]}`]
         }
+      ]
+    }
+    case 'RELATIONAL_DATABASE':
+      return [
+        {
+          Effect: 'Allow',
+          Action,
+          Resource: [
+            `arn:${partition}:rds:${region}:${account}:cluster:${dataSourceConfig.dbClusterIdentifier}`,
+            `arn:${partition}:rds:${region}:${account}:cluster:${dataSourceConfig.dbClusterIdentifier}:*`
+          ]
+        },
+        {
+          Effect: 'Allow',
+          Action: ['secretsmanager:GetSecretValue'],
+          Resource: [dataSourceConfig.awsSecretStoreArn, `${dataSourceConfig.awsSecretStoreArn}:*`]
+        }
+      ]
+    default:
+      return []
+  }
+}
+
+/**
+ * Merge statements with the same effect and actions into one statement
+ * @param {Array} statements
+ * @return {Array} - merged statements
+ */
+const mergeStatements = (statements) =>
+  reduce(
+    (acc, statement) => {
+      const existingStatement = find(
+        (accStatement) =>
+          equals(pick(['Effect', 'Action'], accStatement), pick(['Effect', 'Action'], statement)),
+        acc
+      )
+      if (isNil(existingStatement)) {
+        acc.push(statement)
+      } else {
+        existingStatement.Resource = uniq(concat(existingStatement.Resource, statement.Resource))
       }
       return acc
-    }, {}),
-    toPairs,
-    map(([type, dataSourceConfigs]) => {
-      switch (type) {
-        case 'AWS_LAMBDA':
-          return [
-            {
-              Action: ['lambda:invokeFunction'],
-              Effect: 'Allow',
-              Resource: flatten(
-                map(
-                  (dataSourceConfig) => [
-                    dataSourceConfig.lambdaFunctionArn,
-                    `${dataSourceConfig.lambdaFunctionArn}:*`
-                  ],
-                  dataSourceConfigs
-                )
-              )
-            }
-          ]
-        case 'AMAZON_DYNAMODB':
-          return [
-            {
-              Action: [
-                'dynamodb:DeleteItem',
-                'dynamodb:GetItem',
-                'dynamodb:PutItem',
-                'dynamodb:Query',
-                'dynamodb:Scan',
-                'dynamodb:UpdateItem',
-                'dynamodb:BatchGetItem',
-                'dynamodb:BatchWriteItem'
-              ],
-              Effect: 'Allow',
-              Resource: flatten(
-                map(
-                  (dataSourceConfig) => [
-                    `arn:aws:dynamodb:${dataSourceConfig.region ||
-                      config.region}:${dataSourceConfig.accountId || accountId}:table/${
-                      dataSourceConfig.tableName
-                    }`,
-                    `arn:aws:dynamodb:${dataSourceConfig.region ||
-                      config.region}:${dataSourceConfig.accountId || accountId}:table/${
-                      dataSourceConfig.tableName
-                    }/*`
-                  ],
-                  dataSourceConfigs
-                )
-              )
-            }
-          ]
-        case 'AMAZON_ELASTICSEARCH':
-          return [
-            {
-              Action: [
-                'es:ESHttpDelete',
-                'es:ESHttpGet',
-                'es:ESHttpHead',
-                'es:ESHttpPost',
-                'es:ESHttpPut'
-              ],
-              Effect: 'Allow',
-              Resource: map((dataSourceConfig) => {
-                const result = /^https:\/\/([a-z0-9\-]+\.\w{2}\-[a-z]+\-\d\.es\.amazonaws\.com)$/.exec(
-                  dataSourceConfig.endpoint
-                )
-                return `arn:aws:es:${dataSourceConfig.region ||
-                  config.region}:${dataSourceConfig.accountId || accountId}:domain/${result[1]}`
-              }, dataSourceConfigs)
-            }
-          ]
-        case 'RELATIONAL_DATABASE':
-          return [
-            {
-              Effect: 'Allow',
-              Action: [
-                'rds-data:DeleteItems',
-                'rds-data:ExecuteSql',
-                'rds-data:ExecuteStatement',
-                'rds-data:GetItems',
-                'rds-data:InsertItems',
-                'rds-data:UpdateItems'
-              ],
-              Resource: flatten(
-                map(
-                  (dataSourceConfig) => [
-                    `arn:aws:rds:${dataSourceConfig.region ||
-                      config.region}:${dataSourceConfig.accountId || accountId}:cluster:${
-                      dataSourceConfig.dbClusterIdentifier
-                    }`,
-                    `arn:aws:rds:${dataSourceConfig.region ||
-                      config.region}:${dataSourceConfig.accountId || accountId}:cluster:${
-                      dataSourceConfig.dbClusterIdentifier
-                    }:*`
-                  ],
-                  dataSourceConfigs
-                )
-              )
-            },
-            {
-              Effect: 'Allow',
-              Action: ['secretsmanager:GetSecretValue'],
-              Resource: flatten(
-                map(
-                  (dataSourceConfig) => [
-                    dataSourceConfig.awsSecretStoreArn,
-                    `${dataSourceConfig.awsSecretStoreArn}:*`
-                  ],
-                  dataSourceConfigs
-                )
-              )
-            }
-          ]
-        default:
-          return []
+    },
+    [],
+    map((statement) => ({ ...statement }), statements)
+  )
+
+/**
+ * Get the policy statements for invoking the Lambda conflict handlers of resolvers and functions
+ * @param {Object} config
+ * @param {String} dataSourceName - only handlers of resolvers and functions using the data source
+ * @return {Array} - policy statements
+ */
+const getConflictHandlerStatements = (config, dataSourceName) => {
+  const conflictHandlerArns = pipe(
+    filter((item) => isNil(dataSourceName) || equals(item.dataSource, dataSourceName)),
+    map(path(['sync', 'lambdaConflictHandlerArn'])),
+    reject(isNil),
+    uniq
+  )(concat(defaultToAnArray(config.mappingTemplates), defaultToAnArray(config.functions)))
+  if (isEmpty(conflictHandlerArns)) {
+    return []
+  }
+  return [
+    {
+      Action: ['lambda:invokeFunction'],
+      Effect: 'Allow',
+      Resource: flatten(map((arn) => [arn, `${arn}:*`], conflictHandlerArns))
+    }
+  ]
+}
+
+/**
+ * Get data sources which use a generated service role
+ * @param {Object} config
+ * @return {Array} - data sources
+ */
+const getDataSourcesWithGeneratedRole = (config) =>
+  filter(({ serviceRoleArn }) => isNil(serviceRoleArn), defaultToAnArray(config.dataSources))
+
+/**
+ * Check if each data source gets a service role of its own
+ * @param {Object} config
+ * @return {Boolean}
+ */
+const isRolePerDataSource = (config) => !!path(['serviceRole', 'perDataSource'], config)
+
+/**
+ * Get the policy statements of the service role
+ * @param {Object} config
+ * @return {Array} - policy statements
+ */
+const getServiceRoleStatements = async (config) => {
+  if (isRolePerDataSource(config)) {
+    return []
+  }
+  const accountId = await getAccountId()
+  const statements = pipe(
+    chain((dataSource) => getDataSourceStatements(dataSource, config, accountId)),
+    concat(getConflictHandlerStatements(config)),
+    mergeStatements
+  )(getDataSourcesWithGeneratedRole(config))
+  if (isEmpty(statements)) {
+    return []
+  }
+  return concat(
+    statements,
+    concat(
+      chain(
+        (dataSource) => defaultToAnArray(path(['permissions', 'statements'], dataSource)),
+        getDataSourcesWithGeneratedRole(config)
+      ),
+      defaultToAnArray(path(['serviceRole', 'statements'], config))
+    )
+  )
+}
+
+/**
+ * Get the policy statements of the service role of each data source
+ * @param {Object} config
+ * @return {Object} - policy statements by data source name
+ */
+const getDataSourceServiceRolesStatements = async (config) => {
+  if (not(isRolePerDataSource(config))) {
+    return {}
+  }
+  const accountId = await getAccountId()
+  return reduce(
+    (acc, dataSource) => {
+      const statements = mergeStatements(
+        concat(
+          getDataSourceStatements(dataSource, config, accountId),
+          getConflictHandlerStatements(config, dataSource.name)
+        )
+      )
+      if (not(isEmpty(statements))) {
+        acc[dataSource.name] = concat(
+          statements,
+          concat(
+            defaultToAnArray(path(['permissions', 'statements'], dataSource)),
+            defaultToAnArray(path(['serviceRole', 'statements'], config))
+          )
+        )
       }
-    }),
-    flatten
-  )(defaultToAnArray(config.dataSources))
+      return acc
+    },
+    {},
+    getDataSourcesWithGeneratedRole(config)
+  )
+}
+
+/**
+ * Create service role
+ * @param {Object} awsIamRole
+ * @param {Object} config
+ * @param {Function} debug
+ * @return {Object} - deployed service role
+ */
+const createServiceRole = async (awsIamRole, config, debug) => {
+  const statements = await getServiceRoleStatements(config)
   if (not(isEmpty(statements))) {
     debug('Create/update service role')
     const role = await awsIamRole({
@@ -167,12 +288,65 @@ const createServiceRole = async (awsIamRole, config, debug) => {
       region: config.region
     })
     return role
-  } else {
-    await awsIamRole.remove()
-    return {}
   }
+  await awsIamRole.remove()
+  return {}
+}
+
+/**
+ * Remove service roles of data sources
+ * @param {Function} loadRole - loads the role component of a data source
+ * @param {Array} names - data source names
+ * @param {Function} debug
+ */
+const removeDataSourceServiceRoles = async (loadRole, names, debug) => {
+  await Promise.all(
+    map(async (name) => {
+      debug(`Removing service role of data source ${name}`)
+      const awsIamRole = await loadRole(name)
+      await awsIamRole.remove()
+    }, defaultToAnArray(names))
+  )
+}
+
+/**
+ * Create a service role for each data source and remove the roles of removed data sources
+ * @param {Function} loadRole - loads the role component of a data source
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ * @return {Object} - deployed service role arns by data source name
+ */
+const createDataSourceServiceRoles = async (loadRole, config, state, debug) => {
+  const statementsByDataSource = await getDataSourceServiceRolesStatements(config)
+  const roleArns = {}
+  await Promise.all(
+    map(async (name) => {
+      debug(`Create/update service role of data source ${name}`)
+      const awsIamRole = await loadRole(name)
+      const role = await awsIamRole({
+        service: 'appsync.amazonaws.com',
+        policy: {
+          Version: '2012-10-17',
+          Statement: statementsByDataSource[name]
+        },
+        region: config.region
+      })
+      roleArns[name] = role.arn
+    }, keys(statementsByDataSource))
+  )
+  await removeDataSourceServiceRoles(
+    loadRole,
+    difference(keys(state.dataSourceServiceRoles || {}), keys(roleArns)),
+    debug
+  )
+  return roleArns
 }
 
 module.exports = {
-  createServiceRole
+  getServiceRoleStatements,
+  getDataSourceServiceRolesStatements,
+  createServiceRole,
+  createDataSourceServiceRoles,
+  removeDataSourceServiceRoles
 }
@@ -0,0 +1,65 @@
+const { getServiceRoleStatements } = require('./role')
+
+jest.mock('aws-sdk', () => ({
+  STS: jest.fn(() => ({
+    getCallerIdentity: () => ({ promise: async () => ({ Account: '123456789012' }) })
+  }))
+}))
+
+const dataSources = [
+  { type: 'AMAZON_DYNAMODB', name: 'posts', config: { tableName: 'posts' } },
+  {
+    type: 'AMAZON_ELASTICSEARCH',
+    name: 'search',
+    config: { endpoint: 'https://search-posts-abc.us-gov-west-1.es.amazonaws.com' }
+  },
+  {
+    type: 'RELATIONAL_DATABASE',
+    name: 'db',
+    config: {
+      dbClusterIdentifier: 'posts',
+      awsSecretStoreArn: 'arn:aws-us-gov:secretsmanager:us-gov-west-1:123456789012:secret:db'
+    }
+  },
+  { type: 'NONE', name: 'none' }
+]
+
+describe('getServiceRoleStatements', () => {
+  it('uses the partition of the region in the generated ARNs', async () => {
+    const statements = await getServiceRoleStatements({ region: 'us-gov-west-1', dataSources })
+    expect(statements.map(({ Resource }) => Resource)).toEqual([
+      [
+        'arn:aws-us-gov:dynamodb:us-gov-west-1:123456789012:table/posts',
+        'arn:aws-us-gov:dynamodb:us-gov-west-1:123456789012:table/posts/*'
+      ],
+      [
+        'arn:aws-us-gov:es:us-gov-west-1:123456789012:domain/search-posts-abc.us-gov-west-1.es.amazonaws.com'
+      ],
+      [
+        'arn:aws-us-gov:rds:us-gov-west-1:123456789012:cluster:posts',
+        'arn:aws-us-gov:rds:us-gov-west-1:123456789012:cluster:posts:*'
+      ],
+      [
+        'arn:aws-us-gov:secretsmanager:us-gov-west-1:123456789012:secret:db',
+        'arn:aws-us-gov:secretsmanager:us-gov-west-1:123456789012:secret:db:*'
+      ]
+    ])
+  })
+
+  it('uses the partition of the region of a data source', async () => {
+    const statements = await getServiceRoleStatements({
+      region: 'us-east-1',
+      dataSources: [
+        {
+          type: 'AMAZON_DYNAMODB',
+          name: 'posts',
+          config: { tableName: 'posts', region: 'cn-north-1' }
+        }
+      ]
+    })
+    expect(statements[0].Resource).toEqual([
+      'arn:aws-cn:dynamodb:cn-north-1:123456789012:table/posts',
+      'arn:aws-cn:dynamodb:cn-north-1:123456789012:table/posts/*'
+    ])
+  })
+})
@@ -1,51 +1,419 @@
 const { utils } = require('@serverless/core')
-const { equals, includes, isNil, not } = require('ramda')
-const { checksum, readIfFile } = require('.')
+const glob = require('glob')
+const path = require('path')
+const {
+  buildASTSchema,
+  concatAST,
+  GraphQLObjectType,
+  Kind,
+  parse,
+  print,
+  Source
+} = require('graphql')
+const {
+  both,
+  chain,
+  concat,
+  equals,
+  filter,
+  find,
+  flatten,
+  forEach,
+  has,
+  includes,
+  isEmpty,
+  isNil,
+  join,
+  keys,
+  length,
+  map,
+  merge,
+  not,
+  prepend,
+  propEq,
+  reduce,
+  reject,
+  split
+} = require('ramda')
+const { checksum, defaultToAnArray, isDirectory, isFile, readIfFile } = require('.')
+
+const appSyncDefinitions = `
+scalar AWSDate
+scalar AWSTime
+scalar AWSDateTime
+scalar AWSTimestamp
+scalar AWSEmail
+scalar AWSJSON
+scalar AWSURL
+scalar AWSPhone
+scalar AWSIPAddress
+directive @aws_subscribe(mutations: [String!]!) on FIELD_DEFINITION
+directive @aws_auth(cognito_groups: [String!]!) on FIELD_DEFINITION
+directive @aws_api_key on OBJECT | FIELD_DEFINITION
+directive @aws_iam on OBJECT | FIELD_DEFINITION
+directive @aws_oidc on OBJECT | FIELD_DEFINITION
+directive @aws_cognito_user_pools(cognito_groups: [String!]) on OBJECT | FIELD_DEFINITION
+directive @aws_lambda on OBJECT | FIELD_DEFINITION
+`
 
 /**
- * Create schema
- * @param {Object} appSync
+ * Format graphql error with the source name and location
+ * @param {Object} error
+ * @returns {String} - formatted error
+ */
+const formatGraphqlError = (error) => {
+  if (isNil(error.source) || isEmpty(defaultToAnArray(error.locations))) {
+    return error.message
+  }
+  const [{ line, column }] = error.locations
+  return `${error.source.name}:${line}:${column} ${error.message}`
+}
+
+/**
+ * Check if a schema is an inline schema definition, glob patterns have braces but neither line
+ * breaks nor whitespace
+ * @param {String} schema
+ * @return {Boolean}
+ */
+const isInlineSchema = (schema) => /\n/.test(schema) || (/[{}]/.test(schema) && /\s/.test(schema))
+
+/**
+ * Expand a schema path, directories and glob patterns are expanded to the graphql files they
+ * contain, files and inline schemas are returned as they are
+ * @param {String} schema
+ * @return {Array} - schema file paths or the inline schema
+ */
+const expandSchemaPath = async (schema) => {
+  if (await isDirectory(schema)) {
+    return map(
+      (file) => path.join(schema, file),
+      glob.sync('**/*.{graphql,gql}', { cwd: schema, nodir: true }).sort()
+    )
+  }
+  if ((await isFile(schema)) || isInlineSchema(schema)) {
+    return [schema]
+  }
+  if (glob.hasMagic(schema)) {
+    const files = glob.sync(schema, { nodir: true }).sort()
+    if (not(isEmpty(files))) {
+      return files
+    }
+  }
+  return [schema]
+}
+
+/**
+ * Read schema sources
  * @param {Object} config
- * @param {Object} state
  * @param {Function} debug
- * @return {Object} - schema checksum
+ * @return {Array} - schema sources with name and body, empty if the schema is not managed
  */
-const createSchema = async (appSync, config, state, debug) => {
+const readSchemaSources = async (config, debug) => {
   let { schema } = config
   if (isNil(schema)) {
     if (not(config.isApiCreator)) {
       debug('Schema not defined, ignoring create/update')
-      return Promise.resolve()
+      return []
     }
     debug('Schema not defined, using schema.graphql')
     schema = 'schema.graphql'
   }
+  const schemaPaths = flatten(await Promise.all(map(expandSchemaPath, flatten([schema]))))
+  if (isEmpty(schemaPaths)) {
+    throw new Error(`No schema files found from ${join(', ', flatten([schema]))}`)
+  }
+  return Promise.all(
+    map(async (schemaPath) => {
+      const name = (await isFile(schemaPath)) ? schemaPath : 'schema'
+      return { name, body: await readIfFile(schemaPath) }
+    }, schemaPaths)
+  )
+}
+
+const extensionKinds = {
+  [Kind.OBJECT_TYPE_EXTENSION]: Kind.OBJECT_TYPE_DEFINITION,
+  [Kind.INTERFACE_TYPE_EXTENSION]: Kind.INTERFACE_TYPE_DEFINITION,
+  [Kind.INPUT_OBJECT_TYPE_EXTENSION]: Kind.INPUT_OBJECT_TYPE_DEFINITION,
+  [Kind.ENUM_TYPE_EXTENSION]: Kind.ENUM_TYPE_DEFINITION,
+  [Kind.UNION_TYPE_EXTENSION]: Kind.UNION_TYPE_DEFINITION,
+  [Kind.SCALAR_TYPE_EXTENSION]: Kind.SCALAR_TYPE_DEFINITION
+}
+
+/**
+ * Fold type extensions into the definitions of the types they extend
+ * @param {Object} document
+ * @returns {Object} - document without extensions of defined types
+ */
+const foldExtensions = (document) => {
+  const definitions = map(
+    (definition) => (has(definition.kind, extensionKinds) ? definition : { ...definition }),
+    document.definitions
+  )
+  const isExtendedDefinition = (extension) => (definition) =>
+    equals(definition.kind, extensionKinds[extension.kind]) &&
+    equals(definition.name.value, extension.name.value)
+
+  return merge(document, {
+    definitions: reject((definition) => {
+      if (not(has(definition.kind, extensionKinds))) {
+        return false
+      }
+      const extendedDefinition = find(isExtendedDefinition(definition), definitions)
+      if (isNil(extendedDefinition)) {
+        return false
+      }
+      forEach(
+        (key) => {
+          if (not(isNil(definition[key]))) {
+            extendedDefinition[key] = concat(
+              defaultToAnArray(extendedDefinition[key]),
+              definition[key]
+            )
+          }
+        },
+        ['interfaces', 'directives', 'fields', 'types', 'values']
+      )
+      return true
+    }, definitions)
+  })
+}
+
+/**
+ * Parse schema sources
+ * @param {Array} sources
+ * @returns {Array} - graphql documents
+ */
+const parseSchemaSources = (sources) =>
+  map(({ name, body }) => {
+    try {
+      return parse(new Source(body, name))
+    } catch (error) {
+      throw new Error(`Schema syntax error ${formatGraphqlError(error)}`)
+    }
+  }, sources)
+
+/**
+ * Merge schema sources into one schema definition, extensions are folded into the extended types
+ * @param {Array} sources
+ * @returns {String} - schema definition
+ */
+const mergeSchemaSources = (sources) => {
+  if (equals(length(sources), 1)) {
+    return sources[0].body
+  }
+  return print(foldExtensions(concatAST(parseSchemaSources(sources))))
+}
+
+/**
+ * Read schema
+ * @param {Object} config
+ * @param {Function} debug
+ * @return {String} - schema definition, undefined if the schema is not managed
+ */
+const readSchema = async (config, debug) => {
+  const sources = await readSchemaSources(config, debug)
+  return isEmpty(sources) ? undefined : mergeSchemaSources(sources)
+}
+
+/**
+ * Parse schema sources and build the schema with AppSync scalars and directives
+ * @param {Array} sources
+ * @returns {Object} - graphql schema
+ */
+const parseSchema = (sources) => {
+  const document = foldExtensions(
+    concatAST(prepend(parse(appSyncDefinitions), parseSchemaSources(sources)))
+  )
+  try {
+    return buildASTSchema(document)
+  } catch (error) {
+    // the SDL validation errors are joined by blank lines
+    throw new Error(`Invalid schema [${join(', ', split('\n\n', error.message))}]`)
+  }
+}
+
+/**
+ * Check that mapping templates match fields of the schema, returns warnings for
+ * query and mutation fields without a resolver
+ * @param {Object} graphqlSchema
+ * @param {Array} mappingTemplates
+ * @returns {Array} - warnings
+ */
+const checkResolverCoverage = (graphqlSchema, mappingTemplates) => {
+  const errors = reduce(
+    (acc, { type, field }) => {
+      const graphqlType = graphqlSchema.getType(type)
+      if (not(graphqlType instanceof GraphQLObjectType)) {
+        acc.push(`${type}.${field} (type ${type} not found)`)
+      } else if (isNil(graphqlType.getFields()[field])) {
+        acc.push(`${type}.${field} (field ${field} not found)`)
+      }
+      return acc
+    },
+    [],
+    mappingTemplates
+  )
+  if (not(isEmpty(errors))) {
+    throw new Error(`Resolvers defined for fields missing from the schema [${join(', ', errors)}]`)
+  }
+
+  return reduce(
+    (acc, graphqlType) => {
+      if (not(isNil(graphqlType))) {
+        forEach((field) => {
+          if (
+            isNil(
+              find(both(propEq('type', graphqlType.name), propEq('field', field)), mappingTemplates)
+            )
+          ) {
+            acc.push(`Field ${graphqlType.name}.${field} has no resolver`)
+          }
+        }, keys(graphqlType.getFields()))
+      }
+      return acc
+    },
+    [],
+    [graphqlSchema.getQueryType(), graphqlSchema.getMutationType()]
+  )
+}
+
+/**
+ * Validate schema offline and check the mapping templates against it
+ * @param {Array} sources
+ * @param {Object} config
+ * @returns {Array} - warnings
+ */
+const validateSchema = (sources, config) =>
+  checkResolverCoverage(parseSchema(sources), defaultToAnArray(config.mappingTemplates))
+
+/**
+ * Get the fields of the object types of a schema definition
+ * @param {String} schema - schema definition
+ * @returns {Array} - fields as Type.field
+ */
+const getSchemaFields = (schema) =>
+  chain(
+    (definition) =>
+      map(
+        ({ name }) => `${definition.name.value}.${name.value}`,
+        defaultToAnArray(definition.fields)
+      ),
+    filter(
+      ({ kind }) => includes(kind, [Kind.OBJECT_TYPE_DEFINITION, Kind.OBJECT_TYPE_EXTENSION]),
+      parse(schema).definitions
+    )
+  )
 
-  schema = await readIfFile(schema)
+/**
+ * Load schema as an executable graphql schema
+ * @param {Object} config
+ * @param {Function} debug
+ * @return {Object} - graphql schema
+ */
+const loadSchema = async (config, debug) => {
+  const sources = await readSchemaSources(config, debug)
+  if (isEmpty(sources)) {
+    throw new Error('Schema not defined')
+  }
+  return parseSchema(sources)
+}
 
+/**
+ * Get schema with the deploy mode (update or ignore)
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ * @return {Object} - schema, checksum, mode and validation warnings
+ */
+const getSchemaToDeploy = async (config, state, debug) => {
+  const sources = await readSchemaSources(config, debug)
+  if (isEmpty(sources)) {
+    return { mode: 'ignore' }
+  }
+  const warnings = validateSchema(sources, config)
+  forEach((warning) => debug(`Warning: ${warning}`), warnings)
+  const schema = mergeSchemaSources(sources)
   const schemaChecksum = checksum(schema)
-  if (not(equals(schemaChecksum, state.schemaChecksum))) {
-    debug(`Create a schema for ${config.apiId}`)
-    await appSync
-      .startSchemaCreation({
-        apiId: config.apiId,
-        definition: Buffer.from(schema)
-      })
+  const mode = equals(schemaChecksum, state.schemaChecksum) ? 'ignore' : 'update'
+  return { schema, schemaChecksum, mode, warnings }
+}
+
+/**
+ * Wait until the schema creation of the API has finished
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Function} debug
+ */
+const waitForSchemaCreation = async (appSync, config, debug) => {
+  const startedAt = Date.now()
+  let waiting = true
+  do {
+    const { status, details } = await appSync
+      .getSchemaCreationStatus({ apiId: config.apiId })
       .promise()
-    let waiting = true
-    do {
-      const { status } = await appSync.getSchemaCreationStatus({ apiId: config.apiId }).promise()
-      debug(`Schema creation status ${status} for ${config.apiId}`)
-      if (includes(status, ['FAILED', 'SUCCESS', 'NOT_APPLICABLE'])) {
-        waiting = false
-      } else {
-        await utils.sleep(1000)
-      }
-    } while (waiting)
+    debug(`Schema creation status ${status} for ${config.apiId}`)
+    if (equals(status, 'FAILED')) {
+      throw new Error(`Schema creation failed for ${config.apiId}: ${details}`)
+    } else if (includes(status, ['SUCCESS', 'NOT_APPLICABLE'])) {
+      waiting = false
+    } else if (Date.now() - startedAt > config.schemaTimeout * 1000) {
+      throw new Error(
+        `Schema creation for ${config.apiId} timed out after ${config.schemaTimeout} seconds`
+      )
+    } else {
+      await utils.sleep(1000)
+    }
+  } while (waiting)
+}
+
+/**
+ * Upload the schema and wait until it has been created
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {String} schema - schema definition
+ * @param {Function} debug
+ */
+const updateSchema = async (appSync, config, schema, debug) => {
+  debug(`Create a schema for ${config.apiId}`)
+  await appSync
+    .startSchemaCreation({
+      apiId: config.apiId,
+      definition: Buffer.from(schema)
+    })
+    .promise()
+  await waitForSchemaCreation(appSync, config, debug)
+}
+
+/**
+ * Get checksum of the live schema of the API, console edits change the checksum
+ * @param {Object} appSync
+ * @param {Object} config
+ * @return {String} - checksum, undefined if the API has no schema
+ */
+const getLiveSchemaChecksum = async (appSync, config) => {
+  if (isNil(config.apiId)) {
+    return undefined
+  }
+  try {
+    const { schema } = await appSync
+      .getIntrospectionSchema({ apiId: config.apiId, format: 'SDL' })
+      .promise()
+    return checksum(schema.toString())
+  } catch (error) {
+    if (not(equals(error.code, 'NotFoundException'))) {
+      throw error
+    }
+    return undefined
   }
-  return schemaChecksum
 }
 
 module.exports = {
-  createSchema
+  readSchema,
+  loadSchema,
+  validateSchema,
+  getSchemaToDeploy,
+  getSchemaFields,
+  getLiveSchemaChecksum,
+  waitForSchemaCreation,
+  updateSchema
 }
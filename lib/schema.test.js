@@ -0,0 +1,105 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { readSchema, validateSchema } = require('./schema')
+
+const source = (body, name = 'schema.graphql') => ({ name, body })
+
+describe('validateSchema', () => {
+  it('warns about query and mutation fields without a resolver', () => {
+    const sources = [
+      source(`
+        type Post @aws_api_key @aws_lambda { id: ID! createdAt: AWSDateTime }
+        type Query { getPost(id: ID!): Post listPosts: [Post] }
+        type Mutation { addPost(id: ID!): Post @aws_iam }
+      `)
+    ]
+    const warnings = validateSchema(sources, {
+      mappingTemplates: [{ type: 'Query', field: 'getPost' }]
+    })
+    expect(warnings).toEqual([
+      'Field Query.listPosts has no resolver',
+      'Field Mutation.addPost has no resolver'
+    ])
+  })
+
+  it('rejects resolvers of types and fields missing from the schema', () => {
+    expect(() =>
+      validateSchema([source('type Query { getPost: String } type Post { id: ID }')], {
+        mappingTemplates: [
+          { type: 'Query', field: 'getPost' },
+          { type: 'Query', field: 'listPosts' },
+          { type: 'Comment', field: 'post' },
+          { type: 'Post', field: 'id' }
+        ]
+      })
+    ).toThrow(
+      'Resolvers defined for fields missing from the schema [Query.listPosts (field listPosts not found), Comment.post (type Comment not found)]'
+    )
+  })
+
+  it('validates type extensions across schema files', () => {
+    const sources = [
+      source('type Query { getPost: String }', 'query.graphql'),
+      source('extend type Query { listPosts: [String] }', 'posts.graphql')
+    ]
+    expect(
+      validateSchema(sources, {
+        mappingTemplates: [
+          { type: 'Query', field: 'getPost' },
+          { type: 'Query', field: 'listPosts' }
+        ]
+      })
+    ).toEqual([])
+  })
+
+  it('reports syntax errors with the file and location', () => {
+    expect(() =>
+      validateSchema(
+        [source('type Query { getPost: String }'), source('type {', 'post.graphql')],
+        {}
+      )
+    ).toThrow('Schema syntax error post.graphql:1:6 Syntax Error: Expected Name, found {')
+  })
+
+  it('reports invalid schemas', () => {
+    expect(() => validateSchema([source('type Query { getPost: Post }')], {})).toThrow(
+      'Invalid schema [Unknown type "Post".]'
+    )
+  })
+})
+
+describe('readSchema', () => {
+  let directory
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-'))
+    fs.mkdirSync(path.join(directory, 'types'))
+    fs.writeFileSync(path.join(directory, 'types', 'query.graphql'), 'type Query { getPost: Post }')
+    fs.writeFileSync(path.join(directory, 'types', 'post.gql'), 'type Post { id: ID }')
+  })
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true })
+  })
+
+  it('keeps inline schemas with several types as they are', async () => {
+    const types = Array.from({ length: 12 }, (_, index) => index)
+    const schemas = [
+      types.map((index) => `type T${index} { a(x: Int, y: Int): Int b: Int }`).join(' '),
+      'type Query {\n  getPost(id: ID!): Post\n}\ntype Post { id: ID, title: String }\n'
+    ]
+    for (const schema of schemas) {
+      expect(await readSchema({ schema }, () => {})).toBe(schema)
+    }
+  })
+
+  it('merges the graphql files of directories and glob patterns', async () => {
+    const expected = 'type Post {\n  id: ID\n}\n\ntype Query {\n  getPost: Post\n}\n'
+    expect(await readSchema({ schema: path.join(directory, 'types') }, () => {})).toBe(expected)
+    expect(
+      await readSchema({ schema: path.join(directory, 'types', '*.{graphql,gql}') }, () => {})
+    ).toBe(expected)
+  })
+})
@@ -0,0 +1,163 @@
+const {
+  difference,
+  equals,
+  filter,
+  isEmpty,
+  isNil,
+  keys,
+  last,
+  map,
+  not,
+  pick,
+  reduce,
+  split,
+  toPairs
+} = require('ramda')
+
+const { defaultToAnArray } = require('.')
+
+/**
+ * Format tags of the config, AppSync and IAM return tag values as strings
+ * @param {Object} tags
+ * @returns {Object} - tags with string values
+ */
+const formatTags = (tags = {}) => map(String, tags)
+
+/**
+ * Get tag changes, only tags previously deployed by the component are removed
+ * @param {Object} deployedTags - tags of the resource
+ * @param {Object} tags - tags of the config
+ * @param {Object} stateTags - tags of the previous deployment
+ * @returns {Object} - tags to add or change and tag keys to remove
+ */
+const getTagChanges = (deployedTags = {}, tags = {}, stateTags = {}) => {
+  const formattedTags = formatTags(tags)
+  return {
+    tagsToAdd: pick(
+      filter((key) => not(equals(deployedTags[key], formattedTags[key])), keys(formattedTags)),
+      formattedTags
+    ),
+    tagKeysToRemove: filter(
+      (key) => not(isNil(deployedTags[key])),
+      difference(keys(stateTags), keys(formattedTags))
+    )
+  }
+}
+
+/**
+ * Get deployed tags of the graphql API
+ * @param {Object} appSync
+ * @param {Object} config
+ * @returns {Object} - tags
+ */
+const getApiTags = async (appSync, config) => {
+  if (isNil(config.arn)) {
+    return {}
+  }
+  const { tags } = await appSync.listTagsForResource({ resourceArn: config.arn }).promise()
+  return tags || {}
+}
+
+/**
+ * Get tag changes of the graphql API with the deploy mode (update or ignore)
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @returns {Object} - tag changes
+ */
+const getApiTagsToDeploy = async (appSync, config, state) => {
+  const tagChanges = getTagChanges(await getApiTags(appSync, config), config.tags, state.tags)
+  const mode =
+    isEmpty(tagChanges.tagsToAdd) && isEmpty(tagChanges.tagKeysToRemove) ? 'ignore' : 'update'
+  return { ...tagChanges, mode }
+}
+
+/**
+ * Tag graphql API and untag the tags removed from the config
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ * @returns {Object} - deployed tags
+ */
+const createOrUpdateApiTags = async (appSync, config, state, debug) => {
+  const { tagsToAdd, tagKeysToRemove } = await getApiTagsToDeploy(appSync, config, state)
+  if (not(isEmpty(tagsToAdd))) {
+    debug(`Tagging graphql API ${config.apiId}`)
+    await appSync.tagResource({ resourceArn: config.arn, tags: tagsToAdd }).promise()
+  }
+  if (not(isEmpty(tagKeysToRemove))) {
+    debug(`Removing tags ${tagKeysToRemove.join(', ')} from graphql API ${config.apiId}`)
+    await appSync.untagResource({ resourceArn: config.arn, tagKeys: tagKeysToRemove }).promise()
+  }
+  return isEmpty(config.tags || {}) ? undefined : formatTags(config.tags)
+}
+
+/**
+ * Remove the tags deployed by the component from the graphql API
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ */
+const removeApiTags = async (appSync, config, state, debug) => {
+  const tagKeys = keys(state.tags || {})
+  if (isNil(config.arn) || isEmpty(tagKeys)) {
+    return
+  }
+  debug(`Removing tags from graphql API ${config.apiId}`)
+  try {
+    await appSync.untagResource({ resourceArn: config.arn, tagKeys }).promise()
+  } catch (error) {
+    if (not(equals(error.code, 'NotFoundException'))) {
+      throw error
+    }
+  }
+}
+
+/**
+ * Tag service roles and untag the tags removed from the config
+ * @param {Object} iam
+ * @param {Array} roleArns
+ * @param {Object} config
+ * @param {Object} state
+ * @param {Function} debug
+ */
+const tagServiceRoles = async (iam, roleArns, config, state, debug) => {
+  await Promise.all(
+    map(
+      async (roleArn) => {
+        const RoleName = last(split('/', roleArn))
+        const { Tags } = await iam.listRoleTags({ RoleName }).promise()
+        const deployedTags = reduce(
+          (acc, { Key, Value }) => ({ ...acc, [Key]: Value }),
+          {},
+          defaultToAnArray(Tags)
+        )
+        const { tagsToAdd, tagKeysToRemove } = getTagChanges(deployedTags, config.tags, state.tags)
+        if (not(isEmpty(tagsToAdd))) {
+          debug(`Tagging service role ${RoleName}`)
+          await iam
+            .tagRole({
+              RoleName,
+              Tags: map(([Key, Value]) => ({ Key, Value }), toPairs(tagsToAdd))
+            })
+            .promise()
+        }
+        if (not(isEmpty(tagKeysToRemove))) {
+          debug(`Removing tags from service role ${RoleName}`)
+          await iam.untagRole({ RoleName, TagKeys: tagKeysToRemove }).promise()
+        }
+      },
+      filter((roleArn) => not(isNil(roleArn)), defaultToAnArray(roleArns))
+    )
+  )
+}
+
+module.exports = {
+  formatTags,
+  getApiTagsToDeploy,
+  createOrUpdateApiTags,
+  removeApiTags,
+  tagServiceRoles
+}
@@ -0,0 +1,87 @@
+const { createOrUpdateApiTags, getApiTagsToDeploy, tagServiceRoles } = require('./tags')
+
+const createClient = (calls, responses) =>
+  new Proxy(
+    {},
+    {
+      get: (target, name) => (params) => ({
+        promise: async () => {
+          calls.push([name, params])
+          return responses[name] || {}
+        }
+      })
+    }
+  )
+
+const config = {
+  apiId: 'api',
+  arn: 'arn:aws:appsync:us-east-1:123456789012:apis/api',
+  tags: { stage: 'prod', version: 2, public: false }
+}
+
+describe('getApiTagsToDeploy', () => {
+  it('compares numeric and boolean tag values as strings', async () => {
+    const appSync = createClient([], {
+      listTagsForResource: { tags: { stage: 'prod', version: '2', public: 'false' } }
+    })
+    expect(await getApiTagsToDeploy(appSync, config, { tags: config.tags })).toEqual({
+      tagsToAdd: {},
+      tagKeysToRemove: [],
+      mode: 'ignore'
+    })
+  })
+
+  it('removes only the tags deployed by the component', async () => {
+    const appSync = createClient([], {
+      listTagsForResource: { tags: { stage: 'prod', owner: 'team', removed: 'yes' } }
+    })
+    const state = { tags: { stage: 'prod', removed: 'yes' } }
+    expect(await getApiTagsToDeploy(appSync, config, state)).toEqual({
+      tagsToAdd: { version: '2', public: 'false' },
+      tagKeysToRemove: ['removed'],
+      mode: 'update'
+    })
+  })
+})
+
+describe('createOrUpdateApiTags', () => {
+  it('tags the API with string values', async () => {
+    const calls = []
+    const appSync = createClient(calls, { listTagsForResource: { tags: { version: '1' } } })
+    const tags = await createOrUpdateApiTags(appSync, config, {}, () => {})
+    expect(calls[1]).toEqual([
+      'tagResource',
+      { resourceArn: config.arn, tags: { stage: 'prod', version: '2', public: 'false' } }
+    ])
+    expect(tags).toEqual({ stage: 'prod', version: '2', public: 'false' })
+  })
+})
+
+describe('tagServiceRoles', () => {
+  it('tags service roles with string values', async () => {
+    const calls = []
+    const iam = createClient(calls, {
+      listRoleTags: { Tags: [{ Key: 'stage', Value: 'prod' }] }
+    })
+    await tagServiceRoles(
+      iam,
+      ['arn:aws:iam::123456789012:role/service', undefined],
+      config,
+      {},
+      () => {}
+    )
+    expect(calls).toEqual([
+      ['listRoleTags', { RoleName: 'service' }],
+      [
+        'tagRole',
+        {
+          RoleName: 'service',
+          Tags: [
+            { Key: 'version', Value: '2' },
+            { Key: 'public', Value: 'false' }
+          ]
+        }
+      ]
+    ])
+  })
+})
@@ -0,0 +1,104 @@
+const { utils } = require('@serverless/core')
+const { has, includes, keys, merge, not, pick } = require('ramda')
+
+const throttlingDefaults = {
+  concurrency: 10,
+  maxRetries: 8,
+  baseDelay: 200,
+  maxDelay: 20000
+}
+
+const retryableErrors = [
+  'TooManyRequestsException',
+  'ConcurrentModificationException',
+  'ThrottlingException',
+  'Throttling'
+]
+
+/**
+ * Check if a failed call should be retried
+ * @param {Object} error
+ * @returns {Boolean}
+ */
+const isRetryable = (error) => includes(error.code, retryableErrors) || error.retryable === true
+
+/**
+ * Create a limiter which runs at most the given number of tasks at the same time
+ * @param {Number} concurrency
+ * @returns {Function} - runs a task returning a promise when a slot is free
+ */
+const createLimiter = (concurrency) => {
+  let active = 0
+  const queue = []
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return
+    }
+    active += 1
+    const { task, resolve, reject } = queue.shift()
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1
+        next()
+      })
+  }
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject })
+      next()
+    })
+}
+
+/**
+ * Get the delay before a retry, exponential backoff with full jitter
+ * @param {Object} options
+ * @param {Number} retry - number of the retry starting from 1
+ * @returns {Number} - delay in milliseconds
+ */
+const getRetryDelay = ({ baseDelay, maxDelay }, retry) =>
+  Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** retry))
+
+/**
+ * Wrap an AWS client so that its calls share a concurrency limit and throttling and concurrent
+ * modification errors are retried with backoff, slots are not held while waiting for a retry
+ * @param {Object} client
+ * @param {Object} throttling - concurrency, maxRetries, baseDelay and maxDelay
+ * @param {Function} debug
+ * @returns {Object} - client
+ */
+const throttleClient = (client, throttling, debug) => {
+  const options = merge(throttlingDefaults, pick(keys(throttlingDefaults), throttling || {}))
+  const limit = createLimiter(options.concurrency)
+  return new Proxy(client, {
+    get: (target, name) => {
+      if (not(has(name, target.api.operations))) {
+        return target[name]
+      }
+      return (params) => ({
+        promise: async () => {
+          let retry = 0
+          for (;;) {
+            try {
+              return await limit(() => target[name](params).promise())
+            } catch (error) {
+              if (not(isRetryable(error)) || retry >= options.maxRetries) {
+                throw error
+              }
+              retry += 1
+              const delay = getRetryDelay(options, retry)
+              debug(
+                `Retrying ${name} after ${error.code} in ${delay}ms (retry ${retry} of ${options.maxRetries})`
+              )
+              await utils.sleep(delay)
+            }
+          }
+        }
+      })
+    }
+  })
+}
+
+module.exports = {
+  throttleClient
+}
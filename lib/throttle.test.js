@@ -0,0 +1,115 @@
+const { utils } = require('@serverless/core')
+
+const { throttleClient } = require('./throttle')
+
+const failure = (code, properties) => Object.assign(new Error(code), { code }, properties)
+
+// operations fail with the given errors before they succeed
+const createClient = (calls, errors = []) => ({
+  api: { operations: { getFunction: {} } },
+  region: 'us-east-1',
+  getFunction: (params) => ({
+    promise: async () => {
+      calls.push(params)
+      if (errors.length > 0) {
+        throw errors.shift()
+      }
+      return { functionConfiguration: { functionId: params.functionId } }
+    }
+  })
+})
+
+describe('throttleClient', () => {
+  let sleep
+
+  beforeEach(() => {
+    sleep = jest.spyOn(utils, 'sleep').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    sleep.mockRestore()
+  })
+
+  it('retries throttling, concurrent modification and retryable errors', async () => {
+    const calls = []
+    const debug = jest.fn()
+    const client = throttleClient(
+      createClient(calls, [
+        failure('TooManyRequestsException'),
+        failure('ConcurrentModificationException'),
+        failure('NetworkingError', { retryable: true })
+      ]),
+      {},
+      debug
+    )
+    await expect(client.getFunction({ functionId: 'fn' }).promise()).resolves.toEqual({
+      functionConfiguration: { functionId: 'fn' }
+    })
+    expect(calls).toHaveLength(4)
+    expect(sleep).toHaveBeenCalledTimes(3)
+    expect(debug).toHaveBeenCalledWith(
+      expect.stringMatching(/^Retrying getFunction after TooManyRequestsException in \d+ms/)
+    )
+  })
+
+  it('does not retry other errors', async () => {
+    const calls = []
+    const client = throttleClient(createClient(calls, [failure('NotFoundException')]), {}, () => {})
+    await expect(client.getFunction({ functionId: 'fn' }).promise()).rejects.toThrow(
+      'NotFoundException'
+    )
+    expect(calls).toHaveLength(1)
+    expect(sleep).not.toHaveBeenCalled()
+  })
+
+  it('stops retrying after the maximum number of retries', async () => {
+    const calls = []
+    const errors = [1, 2, 3, 4].map(() => failure('TooManyRequestsException'))
+    const client = throttleClient(createClient(calls, errors), { maxRetries: 2 }, () => {})
+    await expect(client.getFunction({ functionId: 'fn' }).promise()).rejects.toThrow(
+      'TooManyRequestsException'
+    )
+    expect(calls).toHaveLength(3)
+  })
+
+  it('waits with exponential backoff capped by the maximum delay', async () => {
+    const random = jest.spyOn(Math, 'random').mockReturnValue(1)
+    const errors = [1, 2, 3].map(() => failure('TooManyRequestsException'))
+    const client = throttleClient(
+      createClient([], errors),
+      { baseDelay: 100, maxDelay: 500 },
+      () => {}
+    )
+    await client.getFunction({ functionId: 'fn' }).promise()
+    random.mockRestore()
+    expect(sleep.mock.calls).toEqual([[200], [400], [500]])
+  })
+
+  it('limits the calls running at the same time', async () => {
+    let running = 0
+    let maxRunning = 0
+    const client = throttleClient(
+      {
+        api: { operations: { getFunction: {} } },
+        getFunction: () => ({
+          promise: async () => {
+            running += 1
+            maxRunning = Math.max(maxRunning, running)
+            await new Promise((resolve) => setImmediate(resolve))
+            running -= 1
+            return {}
+          }
+        })
+      },
+      { concurrency: 2 },
+      () => {}
+    )
+    await Promise.all([1, 2, 3, 4, 5].map(() => client.getFunction({}).promise()))
+    expect(maxRunning).toBe(2)
+  })
+
+  it('passes through properties which are not operations', () => {
+    const client = throttleClient(createClient([]), {}, () => {})
+    expect(client.region).toBe('us-east-1')
+  })
+})
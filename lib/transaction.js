@@ -0,0 +1,398 @@
+const {
+  any,
+  both,
+  concat,
+  equals,
+  filter,
+  find,
+  isNil,
+  map,
+  mapObjIndexed,
+  merge,
+  not,
+  path,
+  pick,
+  pipe,
+  prop,
+  propEq,
+  propOr,
+  reject,
+  reverse
+} = require('ramda')
+
+const { defaultToAnArray, listAll } = require('.')
+const { waitForSchemaCreation } = require('./schema')
+
+const recordedMutations = {
+  createDataSource: { resource: 'dataSource', action: 'create' },
+  updateDataSource: { resource: 'dataSource', action: 'update' },
+  deleteDataSource: { resource: 'dataSource', action: 'delete' },
+  createFunction: { resource: 'function', action: 'create' },
+  updateFunction: { resource: 'function', action: 'update' },
+  deleteFunction: { resource: 'function', action: 'delete' },
+  createResolver: { resource: 'resolver', action: 'create' },
+  updateResolver: { resource: 'resolver', action: 'update' },
+  deleteResolver: { resource: 'resolver', action: 'delete' },
+  createApiKey: { resource: 'apiKey', action: 'create' },
+  updateApiKey: { resource: 'apiKey', action: 'update' },
+  deleteApiKey: { resource: 'apiKey', action: 'delete' },
+  startSchemaCreation: { resource: 'schema', action: 'update' }
+}
+
+const dataSourceFields = [
+  'name',
+  'type',
+  'description',
+  'serviceRoleArn',
+  'dynamodbConfig',
+  'lambdaConfig',
+  'elasticsearchConfig',
+  'httpConfig',
+  'relationalDatabaseConfig'
+]
+
+const functionFields = [
+  'name',
+  'description',
+  'dataSourceName',
+  'requestMappingTemplate',
+  'responseMappingTemplate',
+  'functionVersion',
+  'syncConfig'
+]
+
+const resolverFields = [
+  'typeName',
+  'fieldName',
+  'dataSourceName',
+  'requestMappingTemplate',
+  'responseMappingTemplate',
+  'kind',
+  'pipelineConfig',
+  'cachingConfig',
+  'syncConfig'
+]
+
+/**
+ * Get a deployed resource, returns undefined if not found
+ * @param {Function} getResource
+ * @returns {Object} - resource, undefined if not found
+ */
+const getIfExists = async (getResource) => {
+  try {
+    return await getResource()
+  } catch (error) {
+    if (not(equals(error.code, 'NotFoundException'))) {
+      throw error
+    }
+    return undefined
+  }
+}
+
+/**
+ * Get the definition of a resource before it is changed
+ * @param {Object} appSync
+ * @param {String} resource
+ * @param {Object} params - parameters of the change
+ * @returns {Object} - previous definition, undefined if the resource did not exist
+ */
+const getPreviousDefinition = (appSync, resource, params) => {
+  const { apiId } = params
+  switch (resource) {
+    case 'dataSource':
+      return getIfExists(async () => {
+        const { dataSource } = await appSync.getDataSource({ apiId, name: params.name }).promise()
+        return dataSource
+      })
+    case 'function':
+      return getIfExists(async () => {
+        const { functionConfiguration } = await appSync
+          .getFunction({ apiId, functionId: params.functionId })
+          .promise()
+        return functionConfiguration
+      })
+    case 'resolver':
+      return getIfExists(async () => {
+        const { resolver } = await appSync
+          .getResolver({ apiId, typeName: params.typeName, fieldName: params.fieldName })
+          .promise()
+        return resolver
+      })
+    case 'apiKey':
+      return getIfExists(async () =>
+        find(propEq('id', params.id), await listAll(appSync, 'listApiKeys', { apiId }, 'apiKeys'))
+      )
+    case 'schema':
+      return getIfExists(async () => {
+        const { schema } = await appSync.getIntrospectionSchema({ apiId, format: 'SDL' }).promise()
+        return isNil(schema) ? undefined : schema.toString()
+      })
+  }
+}
+
+/**
+ * Wrap the AppSync client to record the changes of data sources, schema, functions, resolvers
+ * and API keys to a journal, for transactional deployments the previous definition of updated
+ * and deleted resources is recorded before the change so that it can be restored
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Array} journal - changes are appended to the journal when they start
+ * @returns {Object} - AppSync client
+ */
+const recordChanges = (appSync, config, journal) =>
+  Object.assign(
+    Object.create(appSync),
+    mapObjIndexed(
+      ({ resource, action }, method) => (params) => ({
+        promise: () => {
+          const entry = { resource, action, params }
+          entry.change = (async () => {
+            if (config.transactional && not(equals(action, 'create'))) {
+              entry.previous = await getPreviousDefinition(appSync, resource, params)
+            }
+            entry.response = await appSync[method](params).promise()
+            return entry.response
+          })()
+          journal.push(entry)
+          return entry.change
+        }
+      }),
+      recordedMutations
+    )
+  )
+
+/**
+ * Wait until the recorded changes have finished, a failing call rejects Promise.all while other
+ * calls of the same step are still running
+ * @param {Array} journal
+ * @returns {Array} - changes which succeeded
+ */
+const waitForChanges = async (journal) => {
+  await Promise.all(
+    map(
+      (entry) =>
+        entry.change.catch(() => {
+          entry.failed = true
+        }),
+      journal
+    )
+  )
+  return reject(prop('failed'), journal)
+}
+
+/**
+ * Describe a recorded change
+ * @param {Object} entry
+ * @returns {String} - description
+ */
+const describeChange = ({ resource, action, params, previous, response }) => {
+  const definition = merge(previous, params)
+  switch (resource) {
+    case 'dataSource':
+    case 'function':
+      return `${action} ${resource} ${definition.name || definition.functionId}`
+    case 'resolver':
+      return `${action} resolver ${definition.fieldName}/${definition.typeName}`
+    case 'apiKey':
+      return `${action} api key ${definition.id || path(['apiKey', 'id'], response)}`
+    default:
+      return `${action} ${resource}`
+  }
+}
+
+/**
+ * Undo a recorded change, recreated functions get a new id which is mapped from the old id
+ * @param {Object} appSync
+ * @param {Object} config
+ * @param {Object} entry
+ * @param {Object} functionIds - ids of recreated functions by their previous id
+ */
+const undoChange = async (appSync, config, entry, functionIds) => {
+  const { apiId } = config
+  const { resource, action, params, previous, response } = entry
+  if (not(equals(action, 'create')) && isNil(previous)) {
+    // the resource did not exist before the change
+    return
+  }
+  if (equals(resource, 'dataSource')) {
+    if (equals(action, 'create')) {
+      await appSync.deleteDataSource({ apiId, name: params.name }).promise()
+    } else {
+      const method = equals(action, 'update') ? 'updateDataSource' : 'createDataSource'
+      await appSync[method](merge(pick(dataSourceFields, previous), { apiId })).promise()
+    }
+  } else if (equals(resource, 'function')) {
+    if (equals(action, 'create')) {
+      const { functionId } = response.functionConfiguration
+      await appSync.deleteFunction({ apiId, functionId }).promise()
+    } else if (equals(action, 'update')) {
+      await appSync
+        .updateFunction(
+          merge(pick(functionFields, previous), { apiId, functionId: previous.functionId })
+        )
+        .promise()
+    } else {
+      const { functionConfiguration } = await appSync
+        .createFunction(merge(pick(functionFields, previous), { apiId }))
+        .promise()
+      functionIds[previous.functionId] = functionConfiguration.functionId
+      entry.restoredFunctionId = functionConfiguration.functionId
+    }
+  } else if (equals(resource, 'resolver')) {
+    if (equals(action, 'create')) {
+      await appSync
+        .deleteResolver({ apiId, typeName: params.typeName, fieldName: params.fieldName })
+        .promise()
+    } else {
+      const resolver = pick(resolverFields, previous)
+      if (not(isNil(resolver.pipelineConfig))) {
+        resolver.pipelineConfig = {
+          functions: map(
+            (functionId) => propOr(functionId, functionId, functionIds),
+            defaultToAnArray(resolver.pipelineConfig.functions)
+          )
+        }
+      }
+      const method = equals(action, 'update') ? 'updateResolver' : 'createResolver'
+      await appSync[method](merge(resolver, { apiId })).promise()
+    }
+  } else if (equals(resource, 'apiKey')) {
+    if (equals(action, 'create')) {
+      await appSync.deleteApiKey({ apiId, id: response.apiKey.id }).promise()
+    } else if (equals(action, 'update')) {
+      await appSync
+        .updateApiKey({
+          apiId,
+          id: previous.id,
+          description: previous.description,
+          expires: previous.expires
+        })
+        .promise()
+    } else {
+      throw new Error('Deleted api keys cannot be restored')
+    }
+  } else if (equals(resource, 'schema')) {
+    await appSync.startSchemaCreation({ apiId, definition: Buffer.from(previous) }).promise()
+    await waitForSchemaCreation(appSync, config, () => {})
+  }
+}
+
+/**
+ * Undo recorded changes in the reverse order they were started in, changes start after the
+ * changes they depend on. Undone changes are marked as rolled back
+ * @param {Object} appSync - AppSync client which does not record changes
+ * @param {Object} config
+ * @param {Array} journal
+ * @param {Function} debug
+ * @returns {Array} - errors of changes which could not be undone
+ */
+const rollbackChanges = async (appSync, config, journal, debug) => {
+  const functionIds = {}
+  const errors = []
+  for (const entry of reverse(journal)) {
+    debug(`Rolling back ${describeChange(entry)}`)
+    try {
+      await undoChange(appSync, config, entry, functionIds)
+      entry.rolledBack = true
+    } catch (error) {
+      errors.push(`${describeChange(entry)}: ${error.message}`)
+    }
+  }
+  return errors
+}
+
+/**
+ * Check if a change was applied and not rolled back
+ * @param {String} resource
+ * @param {String} action
+ * @returns {Function} - predicate of recorded changes
+ */
+const isApplied = (resource, action) => (entry) =>
+  equals(entry.resource, resource) && equals(entry.action, action) && not(entry.rolledBack)
+
+/**
+ * Get the state of the resources after a failed deployment, resources created by the deployment
+ * are added to the state and removed resources are removed from it, so that the next deployment
+ * updates or removes them
+ * @param {Object} state
+ * @param {Array} journal
+ * @returns {Object} - data sources, functions, resolvers and API keys of the state
+ */
+const getPartialState = (state, journal) => {
+  const applied = (resource, action) => filter(isApplied(resource, action), journal)
+  // the previous definitions are only recorded for transactional deployments, deleted resources
+  // are identified by the parameters of the change
+  const isDeleted = (resource, predicate) =>
+    any(({ params }) => predicate(params), applied(resource, 'delete'))
+
+  const dataSources = concat(
+    reject(
+      ({ name }) => isDeleted('dataSource', propEq('name', name)),
+      defaultToAnArray(state.dataSources)
+    ),
+    map(({ params }) => pick(['name', 'type'], params), applied('dataSource', 'create'))
+  )
+
+  const functions = concat(
+    pipe(
+      reject(({ functionId }) => isDeleted('function', propEq('functionId', functionId))),
+      map((func) => {
+        const restored = find(
+          (entry) =>
+            equals(entry.resource, 'function') &&
+            not(isNil(entry.restoredFunctionId)) &&
+            equals(entry.previous.functionId, func.functionId),
+          journal
+        )
+        return isNil(restored) ? func : merge(func, { functionId: restored.restoredFunctionId })
+      })
+    )(defaultToAnArray(state.functions)),
+    map(
+      ({ params, response }) => ({
+        name: params.name,
+        dataSource: params.dataSourceName,
+        functionId: response.functionConfiguration.functionId
+      }),
+      applied('function', 'create')
+    )
+  )
+
+  const mappingTemplates = concat(
+    reject(
+      ({ type, field }) =>
+        isDeleted('resolver', both(propEq('typeName', type), propEq('fieldName', field))),
+      defaultToAnArray(state.mappingTemplates)
+    ),
+    map(
+      ({ params }) => ({ type: params.typeName, field: params.fieldName }),
+      applied('resolver', 'create')
+    )
+  )
+
+  const isDeletedApiKey = ({ id }) => isDeleted('apiKey', propEq('id', id))
+  const apiKeys = map(
+    (apiKey) =>
+      isNil(apiKey.predecessors)
+        ? apiKey
+        : merge(apiKey, { predecessors: reject(isDeletedApiKey, apiKey.predecessors) }),
+    reject(isDeletedApiKey, defaultToAnArray(state.apiKeys))
+  )
+
+  return { dataSources, functions, mappingTemplates, apiKeys }
+}
+
+/**
+ * Get recorded API keys which were created and not rolled back, created keys have no name in
+ * the state and are removed when a deployment fails
+ * @param {Array} journal
+ * @returns {Array} - recorded changes
+ */
+const getCreatedApiKeys = (journal) => filter(isApplied('apiKey', 'create'), journal)
+
+module.exports = {
+  recordChanges,
+  waitForChanges,
+  rollbackChanges,
+  getPartialState,
+  getCreatedApiKeys
+}
@@ -0,0 +1,67 @@
+const { recordChanges, waitForChanges, getPartialState } = require('./transaction')
+
+const createAppSync = (calls) =>
+  new Proxy(
+    {},
+    {
+      get: (target, name) => (params) => ({
+        promise: async () => {
+          calls.push(name)
+          if (name === 'listApiKeys') {
+            return { apiKeys: [{ id: params.id || 'key-1', description: 'previous' }] }
+          }
+          if (name === 'createFunction') {
+            return { functionConfiguration: { functionId: 'fn-created' } }
+          }
+          return {}
+        }
+      })
+    }
+  )
+
+const deploy = async (appSync, journal) => {
+  await appSync.createFunction({ apiId: 'api', name: 'audit', dataSourceName: 'lambda' }).promise()
+  await appSync.updateApiKey({ apiId: 'api', id: 'key-1', description: 'updated' }).promise()
+  await appSync.deleteFunction({ apiId: 'api', functionId: 'fn-removed' }).promise()
+  return waitForChanges(journal)
+}
+
+describe('recordChanges', () => {
+  it('records the previous definitions of transactional deployments', async () => {
+    const calls = []
+    const journal = []
+    const changes = await deploy(
+      recordChanges(createAppSync(calls), { transactional: true }, journal),
+      journal
+    )
+    expect(calls).toEqual([
+      'createFunction',
+      'listApiKeys',
+      'updateApiKey',
+      'getFunction',
+      'deleteFunction'
+    ])
+    expect(changes[1].previous).toEqual({ id: 'key-1', description: 'previous' })
+  })
+
+  it('does not fetch previous definitions when the deployment is not transactional', async () => {
+    const calls = []
+    const journal = []
+    const changes = await deploy(recordChanges(createAppSync(calls), {}, journal), journal)
+    expect(calls).toEqual(['createFunction', 'updateApiKey', 'deleteFunction'])
+    expect(
+      getPartialState(
+        {
+          functions: [
+            { name: 'auth', dataSource: 'lambda', functionId: 'fn-auth' },
+            { name: 'removed', dataSource: 'lambda', functionId: 'fn-removed' }
+          ]
+        },
+        changes
+      ).functions
+    ).toEqual([
+      { name: 'auth', dataSource: 'lambda', functionId: 'fn-auth' },
+      { name: 'audit', dataSource: 'lambda', functionId: 'fn-created' }
+    ])
+  })
+})
@@ -0,0 +1,343 @@
+const {
+  addIndex,
+  chain,
+  concat,
+  flatten,
+  equals,
+  has,
+  includes,
+  is,
+  isEmpty,
+  isNil,
+  join,
+  keys,
+  map,
+  not,
+  reject,
+  test
+} = require('ramda')
+
+const { defaultToAnArray, elasticsearchEndpointPattern, isFile } = require('.')
+
+const mapIndexed = addIndex(map)
+
+const arnPattern = (service, resource) =>
+  new RegExp(`^arn:aws[a-z-]*:${service}:[a-z0-9-]*:(\\d{12})?:${resource}`)
+
+const lambdaArn = {
+  pattern: arnPattern('lambda', 'function:[\\w-]+(:[\\w$-]+)?$'),
+  description: 'a Lambda function ARN'
+}
+
+const authenticationTypes = [
+  'API_KEY',
+  'AWS_IAM',
+  'OPENID_CONNECT',
+  'AMAZON_COGNITO_USER_POOLS',
+  'AWS_LAMBDA'
+]
+
+/**
+ * Fields of the config block required by each authentication type
+ */
+const authenticationSchemas = {
+  OPENID_CONNECT: {
+    openIDConnectConfig: {
+      required: true,
+      fields: {
+        issuer: {
+          required: true,
+          pattern: /^https?:\/\/\S+$/,
+          description: 'an http(s) URL'
+        }
+      }
+    }
+  },
+  AMAZON_COGNITO_USER_POOLS: {
+    userPoolConfig: {
+      required: true,
+      fields: {
+        userPoolId: {
+          required: true,
+          pattern: /^[a-z]{2}(-[a-z]+)+-\d_\w+$/,
+          description: 'a user pool id'
+        },
+        defaultAction: { oneOf: ['ALLOW', 'DENY'] }
+      }
+    }
+  },
+  AWS_LAMBDA: {
+    lambdaAuthorizerConfig: {
+      required: true,
+      fields: { authorizerUri: { required: true, ...lambdaArn } }
+    }
+  }
+}
+
+/**
+ * Fields of the config input required by each data source type
+ */
+const dataSourceSchemas = {
+  NONE: {},
+  AWS_LAMBDA: {
+    lambdaFunctionArn: { required: true, ...lambdaArn }
+  },
+  AMAZON_DYNAMODB: {
+    tableName: { required: true },
+    deltaSyncConfig: {
+      requiredWhen: ({ versioned }) => Boolean(versioned),
+      fields: { deltaSyncTableName: { required: true } }
+    }
+  },
+  AMAZON_ELASTICSEARCH: {
+    endpoint: {
+      required: true,
+      pattern: elasticsearchEndpointPattern,
+      description: 'an Elasticsearch domain endpoint (https://<domain>.<region>.es.amazonaws.com)'
+    }
+  },
+  HTTP: {
+    endpoint: {
+      required: true,
+      pattern: /^https?:\/\/[^\s/]+\/?$/,
+      description: 'an http(s) URL without a path'
+    }
+  },
+  RELATIONAL_DATABASE: {
+    awsSecretStoreArn: {
+      required: true,
+      pattern: arnPattern('secretsmanager', 'secret:'),
+      description: 'a Secrets Manager secret ARN'
+    },
+    dbClusterIdentifier: { required: true }
+  }
+}
+
+const positiveInteger = { minimum: 1, description: 'a positive integer' }
+
+const throttlingSchema = {
+  concurrency: positiveInteger,
+  // no retries with 0
+  maxRetries: { minimum: 0, description: 'a non-negative integer' },
+  baseDelay: positiveInteger,
+  maxDelay: positiveInteger
+}
+
+const syncSchema = {
+  conflictDetection: { oneOf: ['VERSION', 'NONE'] },
+  conflictHandler: { oneOf: ['OPTIMISTIC_CONCURRENCY', 'AUTOMERGE', 'LAMBDA', 'NONE'] },
+  lambdaConflictHandlerArn: {
+    requiredWhen: ({ conflictHandler }) => equals(conflictHandler, 'LAMBDA'),
+    ...lambdaArn
+  }
+}
+
+/**
+ * Format the path of an input, e.g. dataSources[0].config.endpoint
+ * @param {Array} inputPath
+ * @returns {String} - path
+ */
+const formatPath = (inputPath) =>
+  join(
+    '',
+    map((key) => (is(Number, key) ? `[${key}]` : `.${key}`), inputPath)
+  ).replace(/^\./, '')
+
+/**
+ * Validate fields of an object against a schema
+ * @param {Object} schema - rules of the fields
+ * @param {Object} value - object to validate
+ * @param {Array} inputPath - path of the object in the inputs
+ * @returns {Array} - problems
+ */
+const validateFields = (schema, value, inputPath) => {
+  if (not(is(Object, value)) || is(Array, value)) {
+    return [`${formatPath(inputPath)} must be an object`]
+  }
+  return chain((field) => {
+    const rule = schema[field]
+    const fieldPath = concat(inputPath, [field])
+    const fieldValue = value[field]
+    if (isNil(fieldValue)) {
+      const required = rule.required || (rule.requiredWhen && rule.requiredWhen(value))
+      return required ? [`${formatPath(fieldPath)} is required`] : []
+    }
+    if (rule.fields) {
+      return validateFields(rule.fields, fieldValue, fieldPath)
+    }
+    if (rule.oneOf && not(includes(fieldValue, rule.oneOf))) {
+      return [`${formatPath(fieldPath)} must be one of ${join(', ', rule.oneOf)}`]
+    }
+    if (rule.pattern && not(is(String, fieldValue) && test(rule.pattern, fieldValue))) {
+      return [`${formatPath(fieldPath)} must be ${rule.description}, got '${fieldValue}'`]
+    }
+    if (
+      not(isNil(rule.minimum)) &&
+      not(Number.isInteger(fieldValue) && fieldValue >= rule.minimum)
+    ) {
+      return [`${formatPath(fieldPath)} must be ${rule.description}, got '${fieldValue}'`]
+    }
+    return []
+  }, keys(schema))
+}
+
+/**
+ * Validate the authentication config of the API or an additional authentication provider
+ * @param {Object} provider
+ * @param {Array} inputPath
+ * @returns {Array} - problems
+ */
+const validateAuthentication = (provider, inputPath) => {
+  const { authenticationType } = provider || {}
+  if (isNil(authenticationType)) {
+    return []
+  }
+  if (not(includes(authenticationType, authenticationTypes))) {
+    return [
+      `${formatPath(concat(inputPath, ['authenticationType']))} must be one of ${join(
+        ', ',
+        authenticationTypes
+      )}`
+    ]
+  }
+  return validateFields(authenticationSchemas[authenticationType] || {}, provider, inputPath)
+}
+
+/**
+ * Validate a data source
+ * @param {Object} dataSource
+ * @param {Number} index
+ * @returns {Array} - problems
+ */
+const validateDataSource = (dataSource, index) => {
+  const inputPath = ['dataSources', index]
+  const problems = validateFields(
+    {
+      name: {
+        required: true,
+        pattern: /^[_A-Za-z][_0-9A-Za-z]*$/,
+        description: 'letters, digits and underscores, not starting with a digit'
+      },
+      type: { required: true, oneOf: keys(dataSourceSchemas) },
+      serviceRoleArn: {
+        pattern: arnPattern('iam', 'role/'),
+        description: 'an IAM role ARN'
+      }
+    },
+    dataSource,
+    inputPath
+  )
+  if (not(is(Object, dataSource)) || not(has(dataSource.type, dataSourceSchemas))) {
+    return problems
+  }
+  return concat(
+    problems,
+    validateFields(
+      dataSourceSchemas[dataSource.type],
+      dataSource.config || {},
+      concat(inputPath, ['config'])
+    )
+  )
+}
+
+/**
+ * Validate the mapping template files of a resolver or function, inline templates are not
+ * checked, templates named like a .vtl file must exist
+ * @param {Object} item - resolver or function
+ * @param {Array} templateKeys
+ * @param {Array} inputPath
+ * @returns {Array} - problems
+ */
+const validateTemplateFiles = async (item, templateKeys, inputPath) =>
+  reject(
+    isNil,
+    await Promise.all(
+      map(async (key) => {
+        const template = item[key]
+        if (not(is(String, template)) || not(test(/^[^\n]+\.vtl$/, template))) {
+          return undefined
+        }
+        return (await isFile(template))
+          ? undefined
+          : `${formatPath(concat(inputPath, [key]))} file ${template} not found`
+      }, templateKeys)
+    )
+  )
+
+/**
+ * Validate a resolver or a function
+ * @param {Object} item
+ * @param {Array} inputPath
+ * @param {Object} schema - rules of the fields
+ * @param {Array} templateKeys
+ * @returns {Array} - problems
+ */
+const validateResolverOrFunction = async (item, inputPath, schema, templateKeys) => {
+  const problems = validateFields(schema, item, inputPath)
+  if (not(is(Object, item))) {
+    return problems
+  }
+  return concat(
+    concat(
+      problems,
+      isNil(item.sync) ? [] : validateFields(syncSchema, item.sync, concat(inputPath, ['sync']))
+    ),
+    await validateTemplateFiles(item, templateKeys, inputPath)
+  )
+}
+
+/**
+ * Validate the inputs before anything is deployed, all problems are reported at once with the
+ * paths of the inputs
+ * @param {Object} config
+ */
+const validateInputs = async (config) => {
+  const resolverProblems = await Promise.all(
+    mapIndexed(
+      (resolver, index) =>
+        validateResolverOrFunction(
+          resolver,
+          ['mappingTemplates', index],
+          {
+            type: { required: true },
+            field: { required: true },
+            kind: { oneOf: ['UNIT', 'PIPELINE'] },
+            dataSource: { requiredWhen: ({ kind }) => not(equals(kind, 'PIPELINE')) }
+          },
+          ['request', 'response', 'before', 'after']
+        ),
+      defaultToAnArray(config.mappingTemplates)
+    )
+  )
+  const functionProblems = await Promise.all(
+    mapIndexed(
+      (func, index) =>
+        validateResolverOrFunction(
+          func,
+          ['functions', index],
+          { name: { required: true }, dataSource: { required: true } },
+          ['request', 'response']
+        ),
+      defaultToAnArray(config.functions)
+    )
+  )
+  const problems = flatten([
+    validateAuthentication(config, []),
+    mapIndexed(
+      (provider, index) =>
+        validateAuthentication(provider, ['additionalAuthenticationProviders', index]),
+      defaultToAnArray(config.additionalAuthenticationProviders)
+    ),
+    mapIndexed(validateDataSource, defaultToAnArray(config.dataSources)),
+    resolverProblems,
+    functionProblems,
+    validateFields({ throttling: { fields: throttlingSchema } }, config, [])
+  ])
+  if (not(isEmpty(problems))) {
+    throw new Error(`Invalid inputs [${join('; ', problems)}]`)
+  }
+}
+
+module.exports = {
+  validateInputs
+}
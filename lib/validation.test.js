@@ -0,0 +1,157 @@
+const path = require('path')
+
+const { validateInputs } = require('./validation')
+
+const getProblems = async (inputs) => {
+  try {
+    await validateInputs(inputs)
+    return []
+  } catch (error) {
+    const [, problems] = /^Invalid inputs \[(.*)\]$/.exec(error.message)
+    return problems.split('; ')
+  }
+}
+
+const lambdaArn = 'arn:aws:lambda:us-east-1:123456789012:function:handler'
+
+describe('validateInputs', () => {
+  it('accepts valid inputs', async () => {
+    await expect(
+      validateInputs({
+        authenticationType: 'AMAZON_COGNITO_USER_POOLS',
+        userPoolConfig: { userPoolId: 'us-east-1_abc', defaultAction: 'ALLOW' },
+        additionalAuthenticationProviders: [
+          { authenticationType: 'AWS_LAMBDA', lambdaAuthorizerConfig: { authorizerUri: lambdaArn } }
+        ],
+        dataSources: [
+          {
+            type: 'AWS_LAMBDA',
+            name: 'lambda',
+            config: { lambdaFunctionArn: `${lambdaArn}:live` }
+          },
+          {
+            type: 'AMAZON_ELASTICSEARCH',
+            name: 'search',
+            config: { endpoint: 'https://search-posts-abc.us-gov-west-1.es.amazonaws.com' }
+          },
+          {
+            type: 'AMAZON_ELASTICSEARCH',
+            name: 'searchChina',
+            config: { endpoint: 'https://search-posts-abc.cn-north-1.es.amazonaws.com.cn' }
+          },
+          {
+            type: 'RELATIONAL_DATABASE',
+            name: 'posts',
+            config: {
+              awsSecretStoreArn: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:db-abc',
+              dbClusterIdentifier: 'cluster'
+            }
+          },
+          { type: 'HTTP', name: 'http', config: { endpoint: 'https://example.com' } },
+          { type: 'NONE', name: 'none' }
+        ],
+        mappingTemplates: [
+          {
+            type: 'Query',
+            field: 'getPost',
+            dataSource: 'lambda',
+            request: path.join(__dirname, '..', 'README.md')
+          },
+          { type: 'Query', field: 'listPosts', kind: 'PIPELINE', functions: ['list'] }
+        ],
+        functions: [{ name: 'list', dataSource: 'none', request: '{}', response: '{}' }],
+        throttling: { concurrency: 5, maxRetries: 0, baseDelay: 500, maxDelay: 30000 }
+      })
+    ).resolves.toBeUndefined()
+  })
+
+  it('reports an unknown authentication type', async () => {
+    expect(await getProblems({ authenticationType: 'COGNITO' })).toEqual([
+      'authenticationType must be one of API_KEY, AWS_IAM, OPENID_CONNECT, AMAZON_COGNITO_USER_POOLS, AWS_LAMBDA'
+    ])
+  })
+
+  it('reports missing and invalid authentication config with the input paths', async () => {
+    expect(
+      await getProblems({
+        authenticationType: 'OPENID_CONNECT',
+        additionalAuthenticationProviders: [
+          {
+            authenticationType: 'AWS_LAMBDA',
+            lambdaAuthorizerConfig: { authorizerUri: 'handler' }
+          },
+          { authenticationType: 'AMAZON_COGNITO_USER_POOLS', userPoolConfig: {} }
+        ]
+      })
+    ).toEqual([
+      'openIDConnectConfig is required',
+      "additionalAuthenticationProviders[0].lambdaAuthorizerConfig.authorizerUri must be a Lambda function ARN, got 'handler'",
+      'additionalAuthenticationProviders[1].userPoolConfig.userPoolId is required'
+    ])
+  })
+
+  it('reports all problems of data sources at once', async () => {
+    expect(
+      await getProblems({
+        dataSources: [
+          { type: 'AWS_LAMBDA', name: 'lambda', config: {} },
+          { type: 'AMAZON_DYNAMODB', name: 'table', config: { tableName: 't', versioned: true } },
+          { type: 'AMAZON_ELASTICSEARCH', name: 'search', config: { endpoint: 'https://a.com' } },
+          { type: 'HTTP', name: 'http', config: { endpoint: 'https://example.com/path' } },
+          { type: 'RDS', name: '1st' },
+          { type: 'NONE', name: 'role', serviceRoleArn: 'role' },
+          'none'
+        ]
+      })
+    ).toEqual([
+      'dataSources[0].config.lambdaFunctionArn is required',
+      'dataSources[1].config.deltaSyncConfig is required',
+      "dataSources[2].config.endpoint must be an Elasticsearch domain endpoint (https://<domain>.<region>.es.amazonaws.com), got 'https://a.com'",
+      "dataSources[3].config.endpoint must be an http(s) URL without a path, got 'https://example.com/path'",
+      "dataSources[4].name must be letters, digits and underscores, not starting with a digit, got '1st'",
+      'dataSources[4].type must be one of NONE, AWS_LAMBDA, AMAZON_DYNAMODB, AMAZON_ELASTICSEARCH, HTTP, RELATIONAL_DATABASE',
+      "dataSources[5].serviceRoleArn must be an IAM role ARN, got 'role'",
+      'dataSources[6] must be an object'
+    ])
+  })
+
+  it('reports resolvers and functions with missing fields, template files and sync config', async () => {
+    expect(
+      await getProblems({
+        mappingTemplates: [
+          {
+            type: 'Query',
+            field: 'getPost',
+            request: 'missing.vtl',
+            response: '$util.toJson($ctx.result) ## not a file.vtl\n',
+            sync: { conflictHandler: 'LAMBDA' }
+          },
+          { field: 'listPosts', kind: 'BATCH', dataSource: 'none' }
+        ],
+        functions: [{ name: 'list', response: 'missing-response.vtl' }]
+      })
+    ).toEqual([
+      'mappingTemplates[0].dataSource is required',
+      'mappingTemplates[0].sync.lambdaConflictHandlerArn is required',
+      'mappingTemplates[0].request file missing.vtl not found',
+      'mappingTemplates[1].type is required',
+      'mappingTemplates[1].kind must be one of UNIT, PIPELINE',
+      'functions[0].dataSource is required',
+      'functions[0].response file missing-response.vtl not found'
+    ])
+  })
+
+  it('reports throttling options which are not positive integers', async () => {
+    expect(
+      await getProblems({
+        throttling: { concurrency: 0, maxRetries: -1, baseDelay: 2.5, maxDelay: '20000' }
+      })
+    ).toEqual([
+      "throttling.concurrency must be a positive integer, got '0'",
+      "throttling.maxRetries must be a non-negative integer, got '-1'",
+      "throttling.baseDelay must be a positive integer, got '2.5'",
+      "throttling.maxDelay must be a positive integer, got '20000'"
+    ])
+    expect(await getProblems({ throttling: 10 })).toEqual(['throttling must be an object'])
+  })
+})
@@ -0,0 +1,215 @@
+const crypto = require('crypto')
+const Velocity = require('velocityjs')
+const {
+  both,
+  equals,
+  find,
+  is,
+  isEmpty,
+  isNil,
+  join,
+  map,
+  merge,
+  not,
+  propEq,
+  type
+} = require('ramda')
+
+const { defaultToAnArray, readMappingTemplate } = require('.')
+
+/**
+ * Create a random v4 UUID
+ * @returns {String} - UUID
+ */
+const autoId = () => {
+  const bytes = crypto.randomBytes(16)
+  bytes[6] = (bytes[6] & 0x0f) | 0x40
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+  const hex = bytes.toString('hex')
+  return join('-', [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20)
+  ])
+}
+
+/**
+ * Convert a value to the DynamoDB typed format
+ * @param {*} value
+ * @returns {Object} - DynamoDB attribute value
+ */
+const toDynamoDB = (value) => {
+  if (isNil(value)) {
+    return { NULL: true }
+  }
+  switch (type(value)) {
+    case 'String':
+      return { S: value }
+    case 'Number':
+      return { N: String(value) }
+    case 'Boolean':
+      return { BOOL: value }
+    case 'Array':
+      return { L: map(toDynamoDB, value) }
+    default:
+      return { M: map(toDynamoDB, value) }
+  }
+}
+
+/**
+ * Create an error raised by a mapping template
+ * @param {Array} args - message, type, data and error info
+ * @returns {Error} - template error
+ */
+const createTemplateError = ([message, errorType, data, errorInfo]) => {
+  const error = new Error(message)
+  error.templateError = { message, type: errorType, data, errorInfo }
+  return error
+}
+
+/**
+ * Create the $util helpers of a render
+ * @param {Array} errors - appended errors are collected to this array
+ * @returns {Object} - $util
+ */
+const createUtil = (errors) => {
+  const toJson = (value) => JSON.stringify(value)
+  const dynamodb = {
+    toDynamoDB,
+    toDynamoDBJson: (value) => toJson(toDynamoDB(value)),
+    toString: (value) => ({ S: value }),
+    toStringJson: (value) => toJson({ S: value }),
+    toNumber: (value) => ({ N: String(value) }),
+    toNumberJson: (value) => toJson({ N: String(value) }),
+    toBoolean: (value) => ({ BOOL: value }),
+    toBooleanJson: (value) => toJson({ BOOL: value }),
+    toNull: () => ({ NULL: true }),
+    toNullJson: () => toJson({ NULL: true }),
+    toList: (value) => toDynamoDB(value),
+    toListJson: (value) => toJson(toDynamoDB(value)),
+    toMap: (value) => toDynamoDB(value),
+    toMapJson: (value) => toJson(toDynamoDB(value)),
+    toMapValues: (value) => map(toDynamoDB, value),
+    toMapValuesJson: (value) => toJson(map(toDynamoDB, value))
+  }
+  const time = {
+    nowISO8601: () => new Date().toISOString(),
+    nowEpochSeconds: () => Math.floor(Date.now() / 1000),
+    nowEpochMilliSeconds: () => Date.now(),
+    parseISO8601ToEpochMilliSeconds: (value) => new Date(value).getTime(),
+    epochMilliSecondsToSeconds: (value) => Math.floor(value / 1000),
+    epochMilliSecondsToISO8601: (value) => new Date(value).toISOString()
+  }
+  const isNullOrEmpty = (value) => isNil(value) || isEmpty(value)
+  return {
+    toJson,
+    parseJson: (value) => JSON.parse(value),
+    autoId,
+    error: (...args) => {
+      throw createTemplateError(args)
+    },
+    appendError: (...args) => {
+      errors.push(createTemplateError(args).templateError)
+      return ''
+    },
+    qr: () => '',
+    quiet: () => '',
+    isNull: isNil,
+    isNullOrEmpty,
+    isNullOrBlank: (value) => isNil(value) || isEmpty(String(value).trim()),
+    defaultIfNull: (value, defaultValue) => (isNil(value) ? defaultValue : value),
+    defaultIfNullOrEmpty: (value, defaultValue) => (isNullOrEmpty(value) ? defaultValue : value),
+    isString: is(String),
+    isNumber: is(Number),
+    isBoolean: is(Boolean),
+    isList: is(Array),
+    isMap: (value) => equals(type(value), 'Object'),
+    escapeJavaScript: (value) => JSON.stringify(String(value)).slice(1, -1),
+    urlEncode: encodeURIComponent,
+    urlDecode: decodeURIComponent,
+    base64Encode: (value) => Buffer.from(String(value)).toString('base64'),
+    base64Decode: (value) => Buffer.from(String(value), 'base64').toString(),
+    time,
+    dynamodb
+  }
+}
+
+/**
+ * Render a mapping template against a $context
+ * @param {String} template
+ * @param {Object} context - arguments, identity, source, result, stash...
+ * @returns {Object} - rendered output, the output parsed as JSON if valid and the errors
+ */
+const renderMappingTemplate = (template, context = {}) => {
+  const errors = []
+  const util = createUtil(errors)
+  const ctx = merge(
+    {
+      arguments: {},
+      identity: null,
+      source: null,
+      result: null,
+      stash: {},
+      prev: null,
+      request: { headers: {} }
+    },
+    context
+  )
+  ctx.args = ctx.arguments
+  try {
+    const output = Velocity.render(template, { context: ctx, ctx, util, utils: util })
+    let result
+    try {
+      result = JSON.parse(output)
+    } catch (error) {
+      result = undefined
+    }
+    return { output, result, errors, stash: ctx.stash }
+  } catch (error) {
+    return {
+      error: error.templateError || { message: error.message },
+      errors,
+      stash: ctx.stash
+    }
+  }
+}
+
+/**
+ * Render the mapping template of a resolver or a function of the config
+ * @param {Object} config
+ * @param {Object} options - type and field or function, template (request or response) and context
+ * @returns {Object} - rendered output, the output parsed as JSON if valid and the errors
+ */
+const renderConfiguredMappingTemplate = async (config, options = {}) => {
+  const isRequest = not(equals(options.template, 'response'))
+  let item
+  let templatePath
+  if (not(isNil(options.function))) {
+    item = find(propEq('name', options.function), defaultToAnArray(config.functions))
+    templatePath = item && (isRequest ? item.request : item.response)
+  } else {
+    item = find(
+      both(propEq('type', options.type), propEq('field', options.field)),
+      defaultToAnArray(config.mappingTemplates)
+    )
+    templatePath = item && (isRequest ? item.before || item.request : item.after || item.response)
+  }
+  const name = isNil(options.function) ? `${options.field}/${options.type}` : options.function
+  if (isNil(item)) {
+    throw new Error(`Resolver or function ${name} not found`)
+  }
+  if (isNil(templatePath)) {
+    throw new Error(`${isRequest ? 'Request' : 'Response'} mapping template of ${name} not defined`)
+  }
+  return renderMappingTemplate(
+    await readMappingTemplate(templatePath, config, item),
+    options.context
+  )
+}
+
+module.exports = {
+  renderMappingTemplate,
+  renderConfiguredMappingTemplate
+}
@@ -0,0 +1,76 @@
+const { renderMappingTemplate } = require('./vtl')
+
+describe('renderMappingTemplate', () => {
+  it('renders arguments and parses JSON output', () => {
+    const {
+      output,
+      result,
+      errors
+    } = renderMappingTemplate(
+      '{ "id": $util.toJson($ctx.args.id), "same": $util.toJson($context.arguments.id) }',
+      { arguments: { id: '1' } }
+    )
+    expect(output).toBe('{ "id": "1", "same": "1" }')
+    expect(result).toEqual({ id: '1', same: '1' })
+    expect(errors).toEqual([])
+  })
+
+  it('leaves the result undefined when the output is not JSON', () => {
+    const { output, result } = renderMappingTemplate('Hello $ctx.args.name', {
+      arguments: { name: 'World' }
+    })
+    expect(output).toBe('Hello World')
+    expect(result).toBeUndefined()
+  })
+
+  it('converts values to the DynamoDB format', () => {
+    const { result } = renderMappingTemplate('$util.dynamodb.toDynamoDBJson($ctx.args.item)', {
+      arguments: { item: { name: 'a', count: 2, tags: ['x'], active: true, missing: null } }
+    })
+    expect(result).toEqual({
+      M: {
+        name: { S: 'a' },
+        count: { N: '2' },
+        tags: { L: [{ S: 'x' }] },
+        active: { BOOL: true },
+        missing: { NULL: true }
+      }
+    })
+  })
+
+  it('returns the error raised with $util.error', () => {
+    const { error, output } = renderMappingTemplate(
+      '$util.error("Not found", "NotFound", $ctx.args)',
+      {
+        arguments: { id: '1' }
+      }
+    )
+    expect(output).toBeUndefined()
+    expect(error).toEqual({
+      message: 'Not found',
+      type: 'NotFound',
+      data: { id: '1' },
+      errorInfo: undefined
+    })
+  })
+
+  it('collects appended errors and keeps rendering', () => {
+    const { output, errors } = renderMappingTemplate('$util.appendError("Partial", "Warn")done')
+    expect(output).toBe('done')
+    expect(errors).toEqual([
+      { message: 'Partial', type: 'Warn', data: undefined, errorInfo: undefined }
+    ])
+  })
+
+  it('returns the stash set by the template', () => {
+    const { stash } = renderMappingTemplate('$util.qr($ctx.stash.put("key", "value"))', {
+      stash: { existing: true }
+    })
+    expect(stash).toEqual({ existing: true, key: 'value' })
+  })
+
+  it('reports template syntax errors', () => {
+    const { error } = renderMappingTemplate('#if(')
+    expect(error.message).toEqual(expect.any(String))
+  })
+})
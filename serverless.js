@@ -1,102 +1,458 @@
 const { Component } = require('@serverless/core')
-const { isEmpty, isNil, map, merge, mergeDeepRight, not, pick } = require('ramda')
+const {
+  any,
+  assoc,
+  concat,
+  dissoc,
+  forEach,
+  equals,
+  isEmpty,
+  isNil,
+  join,
+  keys,
+  map,
+  merge,
+  mergeDeepRight,
+  not,
+  pick,
+  propEq,
+  propOr,
+  values
+} = require('ramda')
 
 const {
+  createOrUpdateApiCache,
   createOrUpdateApiKeys,
-  createOrUpdateDataSources,
-  createOrUpdateFunctions,
+  createOrUpdateApiTags,
+  createOrUpdateDomain,
   createOrUpdateGraphqlApi,
-  createOrUpdateResolvers,
-  createSchema,
+  createLambdaAuthorizerPermissions,
+  createLogsRole,
+  createDataSourceServiceRoles,
   createServiceRole,
+  deployResources,
+  exportApi,
+  getApiCacheToDeploy,
+  getApiKeysToDeploy,
+  getApiTagsToDeploy,
   getClients,
+  getCreatedApiKeys,
+  getDataSourceServiceRolesStatements,
+  getDrift,
+  getGraphqlApi,
+  getInventory,
+  getGraphqlApiMode,
+  getLiveSchemaChecksum,
+  getLogConfig,
+  getOutputs,
+  getResourceChanges,
+  getPartialState,
+  isLoggingEnabled,
+  getObsoleteApiKeys,
+  getObsoleteDataSources,
+  getObsoleteResolvers,
+  getServiceRoleStatements,
+  removeApiCache,
+  removeApiTags,
+  removeDataSourceServiceRoles,
+  removeDomain,
   removeGraphqlApi,
+  removeLambdaAuthorizerPermissions,
+  removeLogsRole,
   removeObsoleteApiKeys,
   removeObsoleteDataSources,
   removeObsoleteFunctions,
-  removeObsoleteResolvers
+  removeObsoleteResolvers,
+  recordChanges,
+  renderConfiguredMappingTemplate,
+  rollbackChanges,
+  setLogRetention,
+  splitDomain,
+  startDevServer,
+  tagServiceRoles,
+  validateInputs,
+  waitForChanges,
+  writeClientConfigFile
 } = require('./utils')
 
 const defaults = {
-  region: 'us-east-1'
+  region: 'us-east-1',
+  schemaTimeout: 300
 }
 
+/**
+ * Format planned changes, obsolete items are planned to be removed
+ * @param {Array} planKeys
+ * @param {Array} itemsToDeploy
+ * @param {Array} obsoleteItems
+ * @returns {Array} - planned changes
+ */
+const formatPlan = (planKeys, itemsToDeploy, obsoleteItems) =>
+  concat(
+    map(pick(concat(planKeys, ['mode'])), itemsToDeploy),
+    map(assoc('mode', 'remove'), obsoleteItems)
+  )
+
+/**
+ * Set the deployed service roles to data sources without a service role
+ * @param {Array} dataSources
+ * @param {Object} state
+ * @returns {Array} - data sources
+ */
+const withDeployedServiceRoles = (dataSources, state) =>
+  map((datasource) => {
+    if (isNil(datasource.serviceRoleArn)) {
+      return merge(datasource, {
+        serviceRoleArn:
+          propOr(undefined, datasource.name, state.dataSourceServiceRoles) || state.serviceRoleArn
+      })
+    }
+    return datasource
+  }, dataSources || [])
+
 class AwsAppSync extends Component {
   async default(inputs = {}) {
     const config = mergeDeepRight(merge(defaults, { apiId: this.state.apiId }), inputs)
-    const { appSync } = getClients(this.context.credentials.aws, config.region)
+    await validateInputs(config)
+    const { appSync, iam, cloudWatchLogs, acm, route53, lambda } = getClients(
+      this.context.credentials.aws,
+      config.region,
+      config.throttling,
+      this.context.debug
+    )
+    const logsRoleComponent = await this.load('@serverless/aws-iam-role', 'logsRole')
+    const logsRole = await createLogsRole(logsRoleComponent, config, this.context.debug)
+    const logConfig = getLogConfig(config, logsRole.arn, this.state)
+    if (logConfig !== undefined) {
+      config.logConfig = logConfig
+    }
     const graphqlApi = await createOrUpdateGraphqlApi(appSync, config, this.context.debug)
     config.apiId = graphqlApi.apiId || config.apiId
     config.arn = graphqlApi.arn
     config.uris = graphqlApi.uris
     config.isApiCreator = isNil(inputs.apiId)
+    config.tags = await createOrUpdateApiTags(appSync, config, this.state, this.context.debug)
+    await removeLogsRole(logsRoleComponent, config, this.state, this.context.debug)
+    await setLogRetention(cloudWatchLogs, config, this.state, this.context.debug)
+    const lambdaAuthorizers = await createLambdaAuthorizerPermissions(
+      lambda,
+      config,
+      this.state,
+      this.context.debug
+    )
 
     const awsIamRole = await this.load('@serverless/aws-iam-role')
     const serviceRole = await createServiceRole(awsIamRole, config, this.context.debug)
+    const dataSourceServiceRoleArns = await createDataSourceServiceRoles(
+      (name) => this.load('@serverless/aws-iam-role', `serviceRole-${name}`),
+      config,
+      this.state,
+      this.context.debug
+    )
+    await tagServiceRoles(
+      iam,
+      concat([serviceRole.arn], values(dataSourceServiceRoleArns)),
+      config,
+      this.state,
+      this.context.debug
+    )
 
     config.dataSources = map((datasource) => {
       if (isNil(datasource.serviceRoleArn)) {
-        datasource.serviceRoleArn = serviceRole.arn
+        datasource.serviceRoleArn = dataSourceServiceRoleArns[datasource.name] || serviceRole.arn
       }
       return datasource
     }, config.dataSources || [])
 
-    config.dataSources = await createOrUpdateDataSources(appSync, config, this.context.debug)
-    config.schemaChecksum = await createSchema(appSync, config, this.state, this.context.debug)
-    config.mappingTemplates = await createOrUpdateResolvers(appSync, config, this.context.debug)
-    config.functions = await createOrUpdateFunctions(appSync, config, this.context.debug)
-    config.apiKeys = await createOrUpdateApiKeys(appSync, config, this.state, this.context.debug)
+    const deployedState = {
+      apiId: config.apiId,
+      isApiCreator: config.isApiCreator,
+      serviceRoleArn: serviceRole.arn,
+      logsRoleArn: logsRole.arn,
+      lambdaAuthorizers,
+      dataSourceServiceRoles: dataSourceServiceRoleArns
+    }
+    config.inventory = await getInventory(appSync, config, this.state, this.context.debug)
+    // changes of the resources of the API are recorded to roll back failed deployments
+    const journal = []
+    const resourcesAppSync = recordChanges(appSync, config, journal)
+    try {
+      let schemaState = this.state
+      if (config.correctDrift) {
+        const drift = await getDrift(appSync, config, this.state)
+        forEach(
+          ({ resource, name, status }) =>
+            this.context.debug(`Correcting drift of ${resource} ${name} (${status})`),
+          drift.resources
+        )
+        if (any(propEq('resource', 'schema'), drift.resources)) {
+          // the schema is uploaded again even if it has not changed
+          schemaState = dissoc('schemaChecksum', this.state)
+        }
+      }
 
-    await removeObsoleteResolvers(appSync, config, this.state, this.context.debug)
-    await removeObsoleteFunctions(appSync, config, this.state, this.context.debug)
-    await removeObsoleteDataSources(appSync, config, this.state, this.context.debug)
-    await removeObsoleteApiKeys(appSync, config, this.state, this.context.debug)
+      const resources = await deployResources(
+        resourcesAppSync,
+        config,
+        schemaState,
+        this.context.debug
+      )
+      config.dataSources = resources.dataSources
+      config.schemaChecksum = resources.schemaChecksum
+      config.functions = resources.functions
+      config.mappingTemplates = resources.mappingTemplates
+      config.liveSchemaChecksum = await getLiveSchemaChecksum(appSync, config)
+      config.apiKeys = await createOrUpdateApiKeys(
+        resourcesAppSync,
+        config,
+        this.state,
+        this.context.debug
+      )
+      // the cache is not recorded, like the API, tags and roles it's kept when rolling back
+      config.cache = await createOrUpdateApiCache(appSync, config, this.state, this.context.debug)
+
+      await removeObsoleteApiKeys(resourcesAppSync, config, this.state, this.context.debug)
+    } catch (error) {
+      const changes = await waitForChanges(journal)
+      // created API keys are not in the state, they are removed to not leave unknown keys behind
+      const rollbackErrors = await rollbackChanges(
+        appSync,
+        config,
+        config.transactional ? changes : getCreatedApiKeys(changes),
+        this.context.debug
+      )
+      this.state = merge(
+        this.state,
+        merge(
+          merge(pick(['arn', 'uris', 'tags', 'logging'], config), deployedState),
+          getPartialState(this.state, changes)
+        )
+      )
+      await this.save()
+      if (not(isEmpty(rollbackErrors))) {
+        throw new Error(`${error.message}, rollback failed [${join(', ', rollbackErrors)}]`)
+      }
+      throw error
+    }
 
-    this.state = pick(['arn', 'schemaChecksum', 'apiKeys', 'uris'], config)
-    this.state.apiId = config.apiId
-    this.state.isApiCreator = config.isApiCreator
+    this.state = merge(
+      merge(
+        pick(['domain'], this.state),
+        pick(
+          [
+            'arn',
+            'schemaChecksum',
+            'liveSchemaChecksum',
+            'apiKeys',
+            'uris',
+            'cache',
+            'tags',
+            'logging'
+          ],
+          config
+        )
+      ),
+      deployedState
+    )
     this.state.dataSources = map(pick(['name', 'type']), config.dataSources)
     this.state.mappingTemplates = map(pick(['type', 'field']), config.mappingTemplates)
     this.state.functions = map(pick(['name', 'dataSource', 'functionId']), config.functions) // deploy functions with same names is not possible
     await this.save()
 
-    let output = pick(['apiId', 'arn', 'uris'], config)
+    const output = getOutputs(graphqlApi, config)
 
-    // Eslam - temporarly output a single url
-    output.url = output.uris.GRAPHQL
-    delete output.uris
+    const domainClients = { appSync, acm, route53 }
+    const domainMode = config.domainMode || 'cloudfront'
+    if (
+      this.state.domain &&
+      (not(equals(this.state.domain.mode, domainMode)) ||
+        not(equals(this.state.domain.domainName, inputs.domain)))
+    ) {
+      if (equals(this.state.domain.mode, 'appsync')) {
+        await removeDomain(domainClients, this.state, this.context.debug)
+      } else if (equals(domainMode, 'appsync')) {
+        const domain = await this.load('@serverless/domain', 'apiDomain')
+        await domain.remove()
+      }
+      this.state.domain = undefined
+      await this.save()
+    }
 
-    if (inputs.domain) {
+    if (inputs.domain && equals(domainMode, 'appsync')) {
+      this.context.debug(`Setting AppSync domain ${inputs.domain} for API ${output.apiId}.`)
+      const domain = await createOrUpdateDomain(
+        domainClients,
+        config,
+        this.state,
+        this.context.debug
+      )
+      this.state.domain = domain
+      await this.save()
+      output.domain = domain.url
+      output.realtimeDomain = domain.realtimeUrl
+    } else if (inputs.domain) {
       this.context.debug(`Setting domain ${inputs.domain} for AppSync API ${output.apiId}.`)
       const domain = await this.load('@serverless/domain', 'apiDomain')
-      const subdomain = inputs.domain.split('.')[0]
-      const secondLevelDomain = inputs.domain.replace(`${subdomain}.`, '')
+      const { domain: rootDomain, subdomain } = await splitDomain(route53, inputs.domain)
 
       const domainInputs = {
-        domain: secondLevelDomain,
+        domain: rootDomain,
         subdomains: {},
         region: config.region
       }
 
-      domainInputs.subdomains[subdomain] = output
+      domainInputs.subdomains[subdomain] = pick(['apiId', 'arn', 'url'], output)
       const domainOutputs = await domain(domainInputs)
+      this.state.domain = { mode: 'cloudfront', domainName: inputs.domain }
+      await this.save()
 
       output.domain = `${domainOutputs.domains[0]}/graphql`
     }
 
-    if (not(isNil(config.apiKeys)) && not(isEmpty(config.apiKeys))) {
-      output = merge(output, {
-        apiKeys: map(({ id }) => id, config.apiKeys)
-      })
+    if (config.clientConfigFile) {
+      await writeClientConfigFile(config.clientConfigFile, output, this.context.debug)
     }
 
     return output
   }
 
+  async plan(inputs = {}) {
+    const config = mergeDeepRight(merge(defaults, { apiId: this.state.apiId }), inputs)
+    await validateInputs(config)
+    const { appSync } = getClients(
+      this.context.credentials.aws,
+      config.region,
+      config.throttling,
+      this.context.debug
+    )
+    const graphqlApi = await getGraphqlApi(appSync, config, this.context.debug)
+    const logConfig = getLogConfig(config, this.state.logsRoleArn, this.state)
+    if (logConfig !== undefined) {
+      config.logConfig = logConfig
+    }
+    const plan = {
+      graphqlApi: { name: config.name, mode: getGraphqlApiMode(graphqlApi, config) }
+    }
+    if (isLoggingEnabled(config)) {
+      plan.logsRole = { mode: 'deploy' }
+    } else {
+      plan.logsRole = { mode: isNil(this.state.logsRoleArn) ? 'ignore' : 'remove' }
+    }
+    config.apiId = isNil(graphqlApi) ? undefined : config.apiId
+    config.isApiCreator = isNil(inputs.apiId)
+
+    const statements = await getServiceRoleStatements(config)
+    if (not(isEmpty(statements))) {
+      plan.serviceRole = {
+        mode: 'deploy',
+        policy: { Version: '2012-10-17', Statement: statements }
+      }
+    } else {
+      plan.serviceRole = { mode: isNil(this.state.serviceRoleArn) ? 'ignore' : 'remove' }
+    }
+    plan.dataSourceServiceRoles = map(
+      (dataSourceStatements) => ({
+        mode: 'deploy',
+        policy: { Version: '2012-10-17', Statement: dataSourceStatements }
+      }),
+      await getDataSourceServiceRolesStatements(config)
+    )
+
+    config.dataSources = withDeployedServiceRoles(config.dataSources, this.state)
+    config.inventory = await getInventory(appSync, config, this.state, this.context.debug)
+
+    const changes = await getResourceChanges(appSync, config, this.state, this.context.debug)
+    const apiKeys = await getApiKeysToDeploy(appSync, config, this.state)
+
+    plan.dataSources = formatPlan(
+      ['name', 'type'],
+      changes.dataSources,
+      getObsoleteDataSources(config, this.state)
+    )
+    plan.schema = pick(['mode', 'schemaChecksum', 'warnings'], changes.schema)
+    plan.functions = formatPlan(
+      ['name', 'dataSource'],
+      changes.functions,
+      changes.obsoleteFunctions
+    )
+    plan.mappingTemplates = formatPlan(
+      ['type', 'field'],
+      changes.resolvers,
+      getObsoleteResolvers(config, this.state)
+    )
+    plan.apiKeys = formatPlan(['name'], apiKeys, getObsoleteApiKeys(config, this.state))
+    plan.cache = await getApiCacheToDeploy(appSync, config, this.state)
+    config.arn = isNil(graphqlApi) ? undefined : graphqlApi.arn
+    plan.tags = await getApiTagsToDeploy(appSync, config, this.state)
+
+    return plan
+  }
+
+  async drift(inputs = {}) {
+    const config = mergeDeepRight(merge(defaults, { apiId: this.state.apiId }), inputs)
+    const { appSync } = getClients(
+      this.context.credentials.aws,
+      config.region,
+      config.throttling,
+      this.context.debug
+    )
+    config.dataSources = withDeployedServiceRoles(config.dataSources, this.state)
+    config.inventory = await getInventory(appSync, config, this.state, this.context.debug)
+    const drift = await getDrift(appSync, config, this.state)
+    forEach(
+      ({ resource, name, status, fields }) =>
+        this.context.log(`${resource} ${name} ${status}${fields ? `: ${fields.join(', ')}` : ''}`),
+      drift.resources
+    )
+    return drift
+  }
+
+  async export(inputs = {}) {
+    const config = mergeDeepRight(merge(defaults, { apiId: this.state.apiId }), inputs)
+    if (isNil(config.apiId)) {
+      throw new Error('apiId of the API to export is not defined')
+    }
+    const { appSync } = getClients(
+      this.context.credentials.aws,
+      config.region,
+      config.throttling,
+      this.context.debug
+    )
+    return exportApi(appSync, config, this.context.debug)
+  }
+
+  async renderTemplate(inputs = {}) {
+    return renderConfiguredMappingTemplate(inputs, inputs.render)
+  }
+
+  async dev(inputs = {}) {
+    const config = mergeDeepRight(defaults, inputs)
+    const { url } = await startDevServer(
+      config,
+      this.state,
+      this.context.credentials.aws,
+      this.context.debug
+    )
+    this.context.log(`Local GraphQL server listening on ${url}`)
+    return { url }
+  }
+
   // eslint-disable-next-line no-unused-vars
   async remove(inputs = {}) {
     const config = mergeDeepRight(merge(defaults, { apiId: this.state.apiId }), inputs)
-    const { appSync } = getClients(this.context.credentials.aws, config.region)
+    const { appSync, acm, route53, lambda } = getClients(
+      this.context.credentials.aws,
+      config.region,
+      config.throttling,
+      this.context.debug
+    )
+    await removeDomain({ appSync, acm, route53 }, this.state, this.context.debug)
+    await removeLambdaAuthorizerPermissions(
+      lambda,
+      { apiId: this.state.apiId },
+      this.state.lambdaAuthorizers,
+      this.context.debug
+    )
     if (not(this.state.isApiCreator)) {
       this.context.debug('Remove created resources from existing API without deleting the API.')
       await removeObsoleteResolvers(
@@ -120,6 +476,14 @@ class AwsAppSync extends Component {
       await removeObsoleteApiKeys(
         appSync,
         { apiId: this.state.apiId, apiKeys: [] },
+        this.state,
+        this.context.debug
+      )
+      await removeApiCache(appSync, { apiId: this.state.apiId }, this.state, this.context.debug)
+      await removeApiTags(
+        appSync,
+        { apiId: this.state.apiId, arn: this.state.arn },
+        this.state,
         this.context.debug
       )
     } else {
@@ -127,6 +491,13 @@ class AwsAppSync extends Component {
     }
     const awsIamRole = await this.load('@serverless/aws-iam-role')
     await awsIamRole.remove()
+    const logsRole = await this.load('@serverless/aws-iam-role', 'logsRole')
+    await logsRole.remove()
+    await removeDataSourceServiceRoles(
+      (name) => this.load('@serverless/aws-iam-role', `serviceRole-${name}`),
+      keys(this.state.dataSourceServiceRoles || {}),
+      this.context.debug
+    )
 
     const domain = await this.load('@serverless/domain', 'apiDomain')
     await domain.remove()
@@ -0,0 +1,169 @@
+const AWS = require('aws-sdk')
+const { map, mapObjIndexed } = require('ramda')
+
+const AwsAppSync = require('./serverless')
+
+jest.mock('aws-sdk', () => {
+  const createClient = () => jest.fn(() => ({}))
+  return {
+    AppSync: jest.fn(),
+    IAM: createClient(),
+    CloudWatchLogs: createClient(),
+    ACM: createClient(),
+    Route53: createClient(),
+    Lambda: createClient(),
+    STS: jest.fn(() => ({
+      getCallerIdentity: () => ({ promise: async () => ({ Account: '123456789012' }) })
+    }))
+  }
+})
+
+const notFound = () => {
+  const error = new Error('Not found')
+  error.code = 'NotFoundException'
+  throw error
+}
+
+const createAppSync = (responses) => ({
+  api: { operations: map(() => ({}), responses) },
+  ...map((getResponse) => (params) => ({ promise: async () => getResponse(params) }), responses)
+})
+
+const plan = (inputs, state, appSync) => {
+  AWS.AppSync.mockImplementation(() => appSync)
+  return AwsAppSync.prototype.plan.call(
+    { state, context: { credentials: { aws: {} }, debug: () => {} } },
+    inputs
+  )
+}
+
+const lambdaArn = 'arn:aws:lambda:us-east-1:123456789012:function:posts'
+
+const inputs = {
+  name: 'posts',
+  authenticationType: 'API_KEY',
+  schema: 'type Query { getPost: String listPosts: String }',
+  dataSources: [{ type: 'AWS_LAMBDA', name: 'posts', config: { lambdaFunctionArn: lambdaArn } }],
+  functions: [{ name: 'list', dataSource: 'posts', request: '{}', response: '{}' }],
+  mappingTemplates: [
+    { type: 'Query', field: 'getPost', dataSource: 'posts', request: '{}', response: '{}' },
+    { type: 'Query', field: 'listPosts', kind: 'PIPELINE', functions: ['list'] }
+  ],
+  apiKeys: ['default']
+}
+
+describe('plan', () => {
+  it('plans to create a new API with its resources and service role', async () => {
+    const result = await plan(
+      inputs,
+      {},
+      createAppSync({ listGraphqlApis: () => ({ graphqlApis: [] }) })
+    )
+    expect(result).toEqual({
+      graphqlApi: { name: 'posts', mode: 'create' },
+      logsRole: { mode: 'ignore' },
+      serviceRole: {
+        mode: 'deploy',
+        policy: {
+          Version: '2012-10-17',
+          Statement: [
+            {
+              Action: ['lambda:invokeFunction'],
+              Effect: 'Allow',
+              Resource: [lambdaArn, `${lambdaArn}:*`]
+            }
+          ]
+        }
+      },
+      dataSourceServiceRoles: {},
+      dataSources: [{ name: 'posts', type: 'AWS_LAMBDA', mode: 'create' }],
+      schema: { mode: 'update', schemaChecksum: expect.any(String), warnings: [] },
+      functions: [{ name: 'list', dataSource: 'posts', mode: 'create' }],
+      mappingTemplates: [
+        { type: 'Query', field: 'getPost', mode: 'create' },
+        { type: 'Query', field: 'listPosts', mode: 'create' }
+      ],
+      apiKeys: [{ name: 'default', mode: 'create' }],
+      cache: { mode: 'ignore' },
+      tags: { tagsToAdd: {}, tagKeysToRemove: [], mode: 'ignore' }
+    })
+  })
+
+  it('plans changes of a deployed API without changing it', async () => {
+    const calls = []
+    const responses = {
+      getGraphqlApi: () => ({
+        graphqlApi: {
+          apiId: 'api',
+          arn: 'arn:aws:appsync:us-east-1:123456789012:apis/api',
+          name: 'posts',
+          authenticationType: 'API_KEY',
+          xrayEnabled: false
+        }
+      }),
+      listDataSources: () => ({
+        dataSources: [
+          {
+            name: 'posts',
+            type: 'AWS_LAMBDA',
+            serviceRoleArn: 'arn:aws:iam::123456789012:role/service',
+            lambdaConfig: { lambdaFunctionArn: lambdaArn },
+            description: null
+          },
+          { name: 'old', type: 'NONE' }
+        ]
+      }),
+      listFunctions: () => ({ functions: [] }),
+      listApiKeys: () => ({ apiKeys: [{ id: 'key', expires: 4102444800 }] }),
+      listResolvers: () => ({
+        resolvers: [
+          {
+            typeName: 'Query',
+            fieldName: 'getPost',
+            dataSourceName: 'posts',
+            kind: 'UNIT',
+            requestMappingTemplate: '{}',
+            responseMappingTemplate: '{}'
+          }
+        ]
+      }),
+      getApiCache: notFound,
+      listTagsForResource: () => ({ tags: {} })
+    }
+    const appSync = createAppSync(
+      mapObjIndexed(
+        (getResponse, name) => (params) => {
+          calls.push(name)
+          return getResponse(params)
+        },
+        responses
+      )
+    )
+    const state = {
+      apiId: 'api',
+      serviceRoleArn: 'arn:aws:iam::123456789012:role/service',
+      dataSources: [
+        { name: 'posts', type: 'AWS_LAMBDA' },
+        { name: 'old', type: 'NONE' }
+      ],
+      mappingTemplates: [{ type: 'Query', field: 'getPost' }],
+      apiKeys: [{ name: 'default', id: 'key' }],
+      schemaChecksum: 'previous'
+    }
+
+    const result = await plan(inputs, state, appSync)
+    expect(result.graphqlApi).toEqual({ name: 'posts', mode: 'ignore' })
+    expect(result.dataSources).toEqual([
+      { name: 'posts', type: 'AWS_LAMBDA', mode: 'ignore' },
+      { name: 'old', type: 'NONE', mode: 'remove' }
+    ])
+    expect(result.functions).toEqual([{ name: 'list', dataSource: 'posts', mode: 'create' }])
+    expect(result.mappingTemplates).toEqual([
+      { type: 'Query', field: 'getPost', mode: 'ignore' },
+      { type: 'Query', field: 'listPosts', mode: 'create' }
+    ])
+    expect(result.apiKeys).toEqual([{ name: 'default', mode: 'ignore' }])
+    expect(result.schema.mode).toBe('update')
+    expect(calls.filter((name) => !/^(get|list)/.test(name))).toEqual([])
+  })
+})
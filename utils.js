@@ -1,18 +1,37 @@
 const AWS = require('aws-sdk')
-const { clone, equals, find, isEmpty, isNil, map, merge, not, pick } = require('ramda')
+const { clone, equals, find, isEmpty, isNil, map, merge, not, pick, reject } = require('ramda')
 
 const { listAll } = require('./lib')
+const { formatTags } = require('./lib/tags')
+const { throttleClient } = require('./lib/throttle')
 
 /**
- * Get AWS clients
+ * Get AWS clients, AppSync calls are throttled and retried by the component
  * @param {object} credentials
  * @param {string} region
+ * @param {object} throttling - concurrency and retry options of AppSync calls
+ * @param {function} debug
  * @returns {object} AWS clients
  */
-const getClients = (credentials, region = 'us-east-1') => {
-  const appSync = new AWS.AppSync({ credentials, region })
+const getClients = (credentials, region = 'us-east-1', throttling = {}, debug = () => {}) => {
+  const appSync = throttleClient(
+    new AWS.AppSync({ credentials, region, maxRetries: 0 }),
+    throttling,
+    debug
+  )
+  const iam = new AWS.IAM({ credentials, region })
+  const cloudWatchLogs = new AWS.CloudWatchLogs({ credentials, region })
+  // certificates of custom domains must be in us-east-1
+  const acm = new AWS.ACM({ credentials, region: 'us-east-1' })
+  const route53 = new AWS.Route53({ credentials })
+  const lambda = new AWS.Lambda({ credentials, region })
   return {
-    appSync
+    appSync,
+    iam,
+    cloudWatchLogs,
+    acm,
+    route53,
+    lambda
   }
 }
 
@@ -22,6 +41,8 @@ const authentication = (authenticationType) => {
       return 'userPoolConfig'
     case 'OPENID_CONNECT':
       return 'openIDConnectConfig'
+    case 'AWS_LAMBDA':
+      return 'lambdaAuthorizerConfig'
   }
 }
 
@@ -43,11 +64,21 @@ const userPoolDefaults = (config) =>
     config
   )
 
+const lambdaAuthorizerDefaults = (config) =>
+  merge(
+    {
+      authorizerResultTtlInSeconds: 300
+    },
+    config
+  )
+
 const addDefaults = (inputs) => {
   if (inputs.openIDConnectConfig) {
     inputs.openIDConnectConfig = openIdConnectDefaults(inputs.openIDConnectConfig)
   } else if (inputs.userPoolConfig) {
     inputs.userPoolConfig = userPoolDefaults(inputs.userPoolConfig)
+  } else if (inputs.lambdaAuthorizerConfig) {
+    inputs.lambdaAuthorizerConfig = lambdaAuthorizerDefaults(inputs.lambdaAuthorizerConfig)
   }
   if (inputs.additionalAuthenticationProviders) {
     inputs.additionalAuthenticationProviders = map((additionalAuthenticationProvider) => {
@@ -59,28 +90,42 @@ const addDefaults = (inputs) => {
         additionalAuthenticationProvider.userPoolConfig = userPoolDefaults(
           additionalAuthenticationProvider.userPoolConfig
         )
+      } else if (additionalAuthenticationProvider.lambdaAuthorizerConfig) {
+        additionalAuthenticationProvider.lambdaAuthorizerConfig = lambdaAuthorizerDefaults(
+          additionalAuthenticationProvider.lambdaAuthorizerConfig
+        )
       }
       return additionalAuthenticationProvider
     }, inputs.additionalAuthenticationProviders)
   }
+  if (isNil(inputs.xrayEnabled)) {
+    inputs.xrayEnabled = false
+  }
   return inputs
 }
 
 /**
- * Create or update graphql api
+ * Get graphql api input fields
+ * @param {object} config
+ * @returns {array} - input fields
+ */
+const getGraphqlApiInputFields = (config) => [
+  'name',
+  'authenticationType',
+  authentication(config.authenticationType),
+  'additionalAuthenticationProviders',
+  'logConfig',
+  'xrayEnabled'
+]
+
+/**
+ * Get graphql api by API id or by name, sets the found API id to the config
  * @param {object} appSync
  * @param {object} config
- * @returns {object} - graphqlApi
+ * @param {function} debug
+ * @returns {object} - graphqlApi, undefined if not found
  */
-const createOrUpdateGraphqlApi = async (appSync, config, debug) => {
-  const inputFields = [
-    'name',
-    'authenticationType',
-    authentication(config.authenticationType),
-    'additionalAuthenticationProviders',
-    'logConfig'
-  ]
-  const inputs = pick(inputFields, config)
+const getGraphqlApi = async (appSync, config, debug) => {
   let graphqlApi
   if (config.apiId) {
     debug(`Fetching graphql API by API id ${config.apiId}`)
@@ -107,17 +152,65 @@ const createOrUpdateGraphqlApi = async (appSync, config, debug) => {
     }
   }
 
+  return graphqlApi
+}
+
+/**
+ * Get graphql api deploy mode (create, update or ignore)
+ * @param {object} graphqlApi
+ * @param {object} config
+ * @returns {string} - mode
+ */
+const getGraphqlApiMode = (graphqlApi, config) => {
+  const inputFields = getGraphqlApiInputFields(config)
+  const inputs = pick(inputFields, config)
   if (isNil(graphqlApi)) {
+    return 'create'
+  }
+  const deployedInputs = pick(inputFields, graphqlApi)
+  const inputsWithDefaults = addDefaults(clone(inputs))
+  // a removed log config is null in the inputs and not returned by the API
+  if (isNil(inputsWithDefaults.logConfig) && isNil(deployedInputs.logConfig)) {
+    delete inputsWithDefaults.logConfig
+    delete deployedInputs.logConfig
+  }
+  if (not(equals(inputsWithDefaults, deployedInputs)) && not(isEmpty(inputs))) {
+    return 'update'
+  }
+  return 'ignore'
+}
+
+/**
+ * Create or update graphql api
+ * @param {object} appSync
+ * @param {object} config
+ * @returns {object} - graphqlApi
+ */
+const createOrUpdateGraphqlApi = async (appSync, config, debug) => {
+  const inputFields = getGraphqlApiInputFields(config)
+  // fields set to null are removed from the API
+  const inputs = reject(isNil, pick(inputFields, config))
+  let graphqlApi = await getGraphqlApi(appSync, config, debug)
+  const mode = getGraphqlApiMode(graphqlApi, config)
+
+  if (equals(mode, 'create')) {
     debug('Creating a new graphql API')
-    const response = await appSync.createGraphqlApi(inputs).promise()
+    const response = await appSync
+      .createGraphqlApi(
+        isNil(config.tags) ? inputs : merge(inputs, { tags: formatTags(config.tags) })
+      )
+      .promise()
     // eslint-disable-next-line prefer-destructuring
     graphqlApi = response.graphqlApi
-  } else if (
-    not(equals(addDefaults(clone(inputs)), pick(inputFields, graphqlApi))) &&
-    not(isEmpty(inputs))
-  ) {
+  } else if (equals(mode, 'update')) {
     debug(`Updating graphql API ${config.apiId}`)
-    const parameters = merge(pick(inputFields, graphqlApi), merge(inputs, { apiId: config.apiId }))
+    const parameters = reject(
+      isNil,
+      merge(
+        pick(inputFields, graphqlApi),
+        merge(addDefaults(clone(pick(inputFields, config))), { apiId: config.apiId })
+      )
+    )
     const response = await appSync.updateGraphqlApi(parameters).promise()
     // eslint-disable-next-line prefer-destructuring
     graphqlApi = response.graphqlApi
@@ -140,6 +233,8 @@ const removeGraphqlApi = async (appSync, config) => {
 
 module.exports = {
   getClients,
+  getGraphqlApi,
+  getGraphqlApiMode,
   createOrUpdateGraphqlApi,
   removeGraphqlApi,
   ...require('./lib/datasources'),
@@ -147,5 +242,19 @@ module.exports = {
   ...require('./lib/resolvers'),
   ...require('./lib/functions'),
   ...require('./lib/role'),
-  ...require('./lib/apikeys')
+  ...require('./lib/apikeys'),
+  ...require('./lib/cache'),
+  ...require('./lib/vtl'),
+  ...require('./lib/dev'),
+  ...require('./lib/tags'),
+  ...require('./lib/logging'),
+  ...require('./lib/domain'),
+  ...require('./lib/outputs'),
+  ...require('./lib/authorizers'),
+  ...require('./lib/drift'),
+  ...require('./lib/export'),
+  ...require('./lib/transaction'),
+  ...require('./lib/inventory'),
+  ...require('./lib/ordering'),
+  ...require('./lib/validation')
 }
@@ -0,0 +1,80 @@
+const { createOrUpdateGraphqlApi, getGraphqlApiMode } = require('./utils')
+
+const graphqlApi = {
+  apiId: 'api',
+  arn: 'arn:aws:appsync:us-east-1:123456789012:apis/api',
+  name: 'posts',
+  authenticationType: 'API_KEY',
+  xrayEnabled: false
+}
+
+describe('getGraphqlApiMode', () => {
+  it('creates an API which is not found', () => {
+    expect(getGraphqlApiMode(undefined, { name: 'posts' })).toBe('create')
+  })
+
+  it('ignores an unchanged API without X-Ray and logging inputs', () => {
+    expect(getGraphqlApiMode(graphqlApi, { name: 'posts', authenticationType: 'API_KEY' })).toBe(
+      'ignore'
+    )
+  })
+
+  it('ignores a removed log config which the API does not return', () => {
+    expect(
+      getGraphqlApiMode(graphqlApi, {
+        name: 'posts',
+        authenticationType: 'API_KEY',
+        logConfig: null
+      })
+    ).toBe('ignore')
+  })
+
+  it('updates changed X-Ray and logging settings', () => {
+    const config = { name: 'posts', authenticationType: 'API_KEY' }
+    expect(getGraphqlApiMode(graphqlApi, { ...config, xrayEnabled: true })).toBe('update')
+    expect(getGraphqlApiMode({ ...graphqlApi, xrayEnabled: true }, config)).toBe('update')
+    expect(
+      getGraphqlApiMode(graphqlApi, {
+        ...config,
+        logConfig: { fieldLogLevel: 'ALL', cloudWatchLogsRoleArn: 'role' }
+      })
+    ).toBe('update')
+    expect(
+      getGraphqlApiMode(
+        { ...graphqlApi, logConfig: { fieldLogLevel: 'ALL', cloudWatchLogsRoleArn: 'role' } },
+        { ...config, logConfig: null }
+      )
+    ).toBe('update')
+  })
+})
+
+describe('createOrUpdateGraphqlApi', () => {
+  it('disables X-Ray and removes the log config when updating', async () => {
+    const calls = []
+    const appSync = {
+      getGraphqlApi: () => ({
+        promise: async () => ({
+          graphqlApi: {
+            ...graphqlApi,
+            xrayEnabled: true,
+            logConfig: { fieldLogLevel: 'ALL', cloudWatchLogsRoleArn: 'role' }
+          }
+        })
+      }),
+      updateGraphqlApi: (params) => ({
+        promise: async () => {
+          calls.push(params)
+          return { graphqlApi }
+        }
+      })
+    }
+    await createOrUpdateGraphqlApi(
+      appSync,
+      { apiId: 'api', name: 'posts', authenticationType: 'API_KEY', logConfig: null },
+      () => {}
+    )
+    expect(calls).toEqual([
+      { apiId: 'api', name: 'posts', authenticationType: 'API_KEY', xrayEnabled: false }
+    ])
+  })
+})